@@ -1,21 +1,34 @@
 // Background service worker (Manifest V3)
 // Handles scheduling, alarms, and coordination with content scripts.
 
+importScripts(
+  "plans.js",
+  "scheduler.js",
+  "history.js",
+  "filters.js",
+  "rng.js",
+  "behavior.js",
+  "ranking.js",
+  "engagement.js",
+  "negative.js",
+  "selectors.js",
+  "interstitials.js",
+  "keywords.js",
+  "queries.js",
+  "expander.js",
+  "providers.js",
+  "orchestrator.js"
+);
+
+// Run shape (days, cadence, watch cap) comes from the plan in use, see plans.js
 const CONFIG = {
-  days: 7,
-  minSessionsPerDay: 3,
-  maxSessionsPerDay: 5,
-  minBetweenHours: 2,
-  maxBetweenHours: 6,
-  maxWatchSeconds: 15 * 60, // 15 minutes cap
   defaultKeywords: ["popular tech news", "trending music", "funny cat videos"],
-  maxLogs: 50,
+  // A session alarm firing later than this counts as missed (browser closed)
+  missedGraceMs: 5 * 60 * 1000,
+  // Delay before a catch-up or shifted session after recovery
+  recoveryDelayMs: 60 * 1000,
 };
 
-// Utility
-const rand = (min, max) => Math.random() * (max - min) + min;
-const randInt = (min, max) => Math.floor(rand(min, max + 1));
-
 // Storage helpers
 async function getStore(keys = null) {
   return new Promise((resolve) =>
@@ -28,187 +41,151 @@ async function setStore(obj) {
   );
 }
 
-// Generate a schedule of absolute timestamps (ms since epoch) for sessions
-function generateSchedule(startTs) {
-  const schedule = [];
-  for (let day = 0; day < CONFIG.days; day++) {
-    const sessionCount = randInt(
-      CONFIG.minSessionsPerDay,
-      CONFIG.maxSessionsPerDay
-    );
-    // For simplicity, create sessions sequentially each day with random gaps 2-6 hours
-    let ts = startTs + day * 24 * 60 * 60 * 1000;
-    // add an initial offset in the day (0-6 hours)
-    ts += rand(0, 6 * 60 * 60 * 1000);
-    for (let s = 0; s < sessionCount; s++) {
-      schedule.push(ts);
-      // add random gap between sessions (2-6 hours)
-      ts += rand(
-        CONFIG.minBetweenHours * 60 * 60 * 1000,
-        CONFIG.maxBetweenHours * 60 * 60 * 1000
-      );
-    }
-  }
-  return schedule;
+// currentRun is read, changed and written back by handlers that can overlap
+// (session alarms, session start, pause, recovery). Every write goes
+// through this queue so none of them drops another's changes. update gets
+// the stored run (or null) and returns the store changes to write, or
+// nothing to leave it as is.
+let runUpdates = Promise.resolve();
+function updateCurrentRun(update) {
+  const next = runUpdates.then(async () => {
+    const { currentRun = null } = await getStore(["currentRun"]);
+    const changes = await update(currentRun);
+    if (changes) await setStore(changes);
+    return changes;
+  });
+  runUpdates = next.catch(() => {});
+  return next;
 }
 
-// Create alarms for each timestamp
-async function scheduleAlarmsForRun(runId, startTs, keywords) {
-  const schedule = generateSchedule(startTs);
-  const alarmsMeta = [];
-  for (const ts of schedule) {
-    const name = `session-${runId}-${ts}`;
-    alarmsMeta.push({ name, ts });
-    chrome.alarms.create(name, { when: ts });
-  }
-  // Save metadata
-  const meta = await getStore();
-  meta.currentRun = {
-    id: runId,
-    startTs,
-    schedule,
-    keywords,
-    createdAt: Date.now(),
-  };
-  await setStore({ ...meta });
+function getAllAlarms() {
+  return new Promise((resolve) => chrome.alarms.getAll(resolve));
 }
 
-// Cancel all session alarms for a particular run id
-function cancelRunAlarms(runId) {
-  chrome.alarms.getAll((all) => {
-    for (const a of all) {
-      if (a.name.startsWith(`session-${runId}-`)) chrome.alarms.clear(a.name);
-    }
-  });
+const sessionAlarmName = (runId, ts) => `session-${runId}-${ts}`;
+
+// Keep a schedule previewed in the popup if it is still usable: numeric,
+// in the future and no longer than the plan could produce
+function usablePresetSchedule(preset, plan, now) {
+  if (!Array.isArray(preset)) return null;
+  const upcoming = preset
+    .filter((ts) => typeof ts === "number" && isFinite(ts) && ts > now)
+    .sort((a, b) => a - b);
+  const maxSessions = plan.days * plan.maxSessionsPerDay;
+  return upcoming.length && upcoming.length <= maxSessions ? upcoming : null;
 }
 
-// Listen for session results and other messages
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === "sessionResult") {
-    const result = msg.result;
-    console.log('Session completed:', result);
-    
-    // Log the session result
-    if (result.success) {
-      appendLog({
-        kind: "success",
-        message: `Session completed: ${result.videosWatched || 1} videos watched`,
-        details: `Keyword: "${result.keyword}", Watch time: ${Math.round(result.watchSeconds || 0)}s`,
-        time: Date.now()
-      });
-    } else {
-      appendLog({
-        kind: "error", 
-        message: "Session failed",
-        details: result.error || "Unknown error",
-        time: Date.now()
-      });
-    }
-    
-    sendResponse({ received: true });
+// Create alarms for each timestamp plus the run's end alarm
+async function scheduleAlarmsForRun(runId, startTs, keywords, plan, preset) {
+  const schedule =
+    usablePresetSchedule(preset, plan, startTs) ||
+    generateSchedule(startTs, plan);
+  for (const ts of schedule) {
+    chrome.alarms.create(sessionAlarmName(runId, ts), { when: ts });
   }
-});
+  // End after the plan's days + a small buffer, or once the last session's
+  // watch cap is over if that is later
+  const lastSession = schedule.length ? schedule[schedule.length - 1] : 0;
+  const endTs =
+    Math.max(
+      startTs + plan.days * DAY_MS,
+      lastSession + plan.maxWatchSeconds * 1000
+    ) +
+    60 * 1000; // +1min buffer
+  chrome.alarms.create(`end-${runId}`, { when: endTs });
+  // Save metadata; completed/skipped hold schedule timestamps already handled
+  await updateCurrentRun(() => ({
+    currentRun: {
+      id: runId,
+      startTs,
+      endTs,
+      schedule,
+      completed: [],
+      skipped: [],
+      keywords,
+      plan,
+      createdAt: Date.now(),
+    },
+  }));
+  return schedule;
+}
+
+// Cancel all session alarms and the end alarm for a particular run id
+async function cancelRunAlarms(runId) {
+  const all = await getAllAlarms();
+  for (const a of all) {
+    if (a.name.startsWith(`session-${runId}-`) || a.name === `end-${runId}`)
+      chrome.alarms.clear(a.name);
+  }
+}
 
 // Start the boost: initialize storage, schedule alarms, create run id
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.action === "start") {
-    startBoost(msg.keywords).then(() => sendResponse({ status: "started" }));
+    startBoost(msg.keywords, msg.planId, msg.schedule).then((started) =>
+      sendResponse({ status: started ? "started" : "alreadyRunning" })
+    );
     return true;
   }
   if (msg.action === "startImmediate") {
-    startImmediateSessions(msg.keywords).then(() =>
+    startImmediateSessions(msg.keywords, msg.planId).then(() =>
       sendResponse({ status: "started" })
     );
     return true;
   }
+  if (msg.action === "startNegative") {
+    startNegativeSession().then(sendResponse);
+    return true;
+  }
+  // diagnose.html drives its own YouTube tab
+  if (msg.action === "injectContentScript") {
+    ensureContentScript(msg.tabId)
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  }
+  if (msg.action === "resumeRun") {
+    resumeRun().then(() => sendResponse({ status: "resumed" }));
+    return true;
+  }
   if (msg.action === "stop") {
     stopBoost().then(() => sendResponse({ status: "stopped" }));
     return true;
   }
   if (msg.action === "generateKeywords") {
-    (async () => {
-      try {
-        const topic = msg.topic;
-        if (!topic) return sendResponse({ error: "No topic provided" });
-        // Read stored apiKey (user-provided) if any
-        const s = await getStore(["apiKey"]);
-        const apiKey = s.apiKey || null;
-        if (!apiKey) {
-          return sendResponse({
-            error:
-              "No API key configured. Add your Gemini API key in the popup.",
-          });
-        }
-        const keywords = await callGeminiForKeywords(topic, apiKey);
-        return sendResponse({ keywords, success: true });
-      } catch (err) {
-        return sendResponse({ error: String(err) });
-      }
-    })();
+    if (!msg.topic) {
+      sendResponse({ error: "No topic provided" });
+      return;
+    }
+    generateKeywordsWithProvider(msg.topic)
+      .then((result) => sendResponse({ ...result, success: true }))
+      .catch((err) =>
+        sendResponse({
+          error: err.message,
+          errorCode: err.code || "unknown",
+          provider: err.provider || null,
+        })
+      );
     return true; // signal async response
   }
 });
 
-// Call Gemini/Generative Language API to get comma-separated keywords
-async function callGeminiForKeywords(topic, apiKey) {
-  // Construct a concise prompt requesting 8 short keyword phrases, comma-separated
-  const prompt = `Generate 8-12 concise YouTube search keywords (comma-separated) for the topic: "${topic}". Output only the keywords separated by commas, no extra commentary.`;
-  // Try the Google Generative Language endpoint (text-bison)
-  const url =
-    "https://generativelanguage.googleapis.com/v1beta2/models/text-bison-001:generateText";
-  const body = {
-    prompt: { text: prompt },
-    temperature: 0.7,
-    maxOutputTokens: 128,
-  };
-  // first try Bearer token style
-  let res = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(body),
-    cache: "no-store",
-  });
-  if (!res.ok) {
-    // try with ?key= approach (api key as query param)
-    const res2 = await fetch(url + `?key=${encodeURIComponent(apiKey)}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-      cache: "no-store",
-    });
-    res = res2;
-  }
-  if (!res.ok) throw new Error(`API error: ${res.status}`);
-  const json = await res.json();
-  // Response parsing: try several fields to extract text
-  let text = null;
-  if (json.candidates && json.candidates[0] && json.candidates[0].content)
-    text = json.candidates[0].content;
-  if (
-    !text &&
-    json.candidates &&
-    json.candidates[0] &&
-    json.candidates[0].output
-  )
-    text = json.candidates[0].output;
-  if (!text && json.output_text) text = json.output_text;
-  if (!text && json.result) text = JSON.stringify(json.result);
-  if (!text) throw new Error("Could not parse response");
-  // Normalize and split by commas or line breaks
-  let items = text
-    .split(/[\n,]+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
-  // Keep unique first 12
-  const uniq = [...new Set(items)].slice(0, 12);
-  return uniq;
+// Resolve the keyword list for a run: explicit keywords, then the plan's own
+// keyword set, then the built-in defaults. Entries carry weights and daily
+// limits (see keywords.js).
+function resolveKeywords(userKeywords, plan) {
+  const pick =
+    userKeywords && userKeywords.length
+      ? userKeywords
+      : plan.keywords && plan.keywords.length
+        ? plan.keywords
+        : CONFIG.defaultKeywords;
+  return pick.slice(0, 20).map(normalizeKeywordEntry);
 }
 
 // Start boost implementation
-async function startBoost(userKeywords) {
+// presetSchedule is the preview the user saw in the popup, if any
+async function startBoost(userKeywords, planId, presetSchedule) {
   // Don't start if already running
   const existing = await getStore();
   if (existing.isRunning) {
@@ -218,55 +195,50 @@ async function startBoost(userKeywords) {
       title: "YT Recommendation Booster",
       message: "A boost is already running. Stop it first to start a new one.",
     });
-    return;
+    return false;
   }
 
+  const plan = planId ? await getPlan(planId) : await getActivePlan();
   const startTs = Date.now();
   const runId = `run-${startTs}`;
-  const keywords =
-    userKeywords && userKeywords.length
-      ? userKeywords.slice(0, 20)
-      : CONFIG.defaultKeywords;
-  // Preserve existing logs (if any) and initialize run state
+  const keywords = resolveKeywords(userKeywords, plan);
+  // Initialize run state
   await setStore({
     isRunning: true,
     runId,
     daysCompleted: 0,
-    logs: existing.logs || [],
     keywords,
     startTs,
+    immediateMode: false,
   });
-  await scheduleAlarmsForRun(runId, startTs, keywords);
-  // set an end alarm after CONFIG.days days + a small buffer
-  const endName = `end-${runId}`;
-  chrome.alarms.create(endName, {
-    when: startTs + CONFIG.days * 24 * 60 * 60 * 1000 + 60 * 1000,
-  }); // +1min buffer
+  await scheduleAlarmsForRun(runId, startTs, keywords, plan, presetSchedule);
   // Notify user
   chrome.notifications.create(`ytboost-start-${runId}`, {
     type: "basic",
     iconUrl: "icon-128.png",
     title: "YT Recommendation Booster started",
-    message: `Running a ${CONFIG.days}-day boost using ${keywords.length} keywords.`,
+    message: `Running "${plan.name}" (${plan.days} days) using ${keywords.length} keywords.`,
   });
+  return true;
 }
 
 // Start immediate sessions (no scheduling, trigger now)
-async function startImmediateSessions(userKeywords) {
-  const keywords =
-    userKeywords && userKeywords.length
-      ? userKeywords.slice(0, 20)
-      : CONFIG.defaultKeywords;
-  const runId = `immediate-${Date.now()}`;
+async function startImmediateSessions(userKeywords, planId) {
+  const plan = planId ? await getPlan(planId) : await getActivePlan();
+  const keywords = resolveKeywords(userKeywords, plan);
+  const startTs = Date.now();
+  const runId = `immediate-${startTs}`;
 
-  // Simple state tracking for immediate mode
-  await setStore({
+  // Simple state tracking for immediate mode; the plan only supplies the
+  // watch cap here since sessions are not scheduled
+  await updateCurrentRun(() => ({
     isRunning: true,
     runId,
     keywords,
-    startTs: Date.now(),
+    startTs,
     immediateMode: true,
-  });
+    currentRun: { id: runId, startTs, keywords, plan, createdAt: startTs },
+  }));
 
   // Notify user
   chrome.notifications.create(`ytboost-immediate-${runId}`, {
@@ -277,89 +249,32 @@ async function startImmediateSessions(userKeywords) {
   });
 
   // Start first session immediately
-  triggerImmediateSession(keywords, runId);
+  requestSession({ source: "immediate", runId, active: true });
 }
 
-// Trigger an immediate session (no alarms)
-async function triggerImmediateSession(keywords, runId) {
-  const keyword =
-    keywords[Math.floor(Math.random() * keywords.length)] ||
-    CONFIG.defaultKeywords[0];
-
-  console.log('Triggering immediate session with keyword:', keyword);
-
-  // Create an ACTIVE tab to YouTube for better automation
-  chrome.tabs.create(
-    { url: "https://www.youtube.com", active: true },
-    async (tab) => {
-      const tabId = tab.id;
-      console.log('Created YouTube tab:', tabId);
-      
-      try {
-        // Wait for tab to load
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        
-        console.log('Injecting content script...');
-        await chrome.scripting.executeScript({
-          target: { tabId },
-          files: ["content.js"],
-        });
-        
-        console.log('Content script injected, sending message...');
-        // Start the session with params
-        setTimeout(() => {
-          chrome.tabs.sendMessage(tabId, {
-            action: "startSession",
-            params: {
-              keyword,
-              runId,
-              config: {
-                maxWatchSeconds: CONFIG.maxWatchSeconds,
-              },
-            },
-          }, (response) => {
-            console.log('Message sent, response:', response);
-            if (chrome.runtime.lastError) {
-              console.error('Message error:', chrome.runtime.lastError);
-            }
-            
-            // Schedule next session after this one completes
-            setTimeout(() => {
-              triggerImmediateSession(keywords, runId);
-            }, rand(30000, 120000)); // 30 seconds to 2 minutes between sessions
-          });
-        }, 2000);
-        
-      } catch (err) {
-        console.error("Session error", err);
-        chrome.tabs.remove(tabId).catch(() => {});
-        await appendLog({
-          kind: "error",
-          message: "Session failure",
-          details: String(err),
-          time: Date.now(),
-        });
-        
-        // Retry after error
-        setTimeout(() => {
-          triggerImmediateSession(keywords, runId);
-        }, 30000);
-      }
-    }
-  );
+// Queue the next immediate-mode session. An alarm rather than setTimeout so
+// the loop survives the service worker being evicted between sessions.
+// Chrome rounds alarms up to its 30s minimum.
+function queueImmediateSession(delayMs) {
+  chrome.alarms.create("immediate-next", { when: Date.now() + delayMs });
 }
 
 // Stop the boost early
 async function stopBoost() {
   const store = await getStore();
   const runId = (store.currentRun && store.currentRun.id) || store.runId;
-  if (runId) cancelRunAlarms(runId);
-  await setStore({
+  if (runId) await cancelRunAlarms(runId);
+  chrome.alarms.clear("immediate-next");
+  await archiveRun(store.currentRun, "stopped");
+  await updateCurrentRun(() => ({
     isRunning: false,
     runId: null,
     currentRun: null,
     immediateMode: false,
-  });
+    sessionQueue: [],
+  }));
+  // Marked stopped first so the orchestrator doesn't queue another session
+  await abortActiveSession("Stopped by user");
   chrome.notifications.create("ytboost-stopped", {
     type: "basic",
     iconUrl: "icon-128.png",
@@ -368,6 +283,39 @@ async function stopBoost() {
   });
 }
 
+// Hold a run after a bot check: scheduled sessions are skipped (and
+// recorded) and the immediate loop stops until the run is resumed from the
+// popup
+async function pauseRun(reason) {
+  const changes = await updateCurrentRun(async (run) => {
+    const { isRunning } = await getStore(["isRunning"]);
+    if (!isRunning || !run || run.paused) return;
+    return {
+      currentRun: { ...run, paused: { reason, at: Date.now() } },
+      sessionQueue: [],
+    };
+  });
+  if (!changes) return;
+  chrome.alarms.clear("immediate-next");
+  chrome.notifications.create("ytboost-paused", {
+    type: "basic",
+    iconUrl: "icon-128.png",
+    title: "YT Boost paused",
+    message: `${reason}. Open YouTube in this browser to clear it, then resume the run from the popup.`,
+  });
+}
+
+async function resumeRun() {
+  const store = await getStore(["isRunning", "immediateMode"]);
+  const changes = await updateCurrentRun((current) => {
+    if (!store.isRunning || !current || !current.paused) return;
+    const { paused, ...run } = current;
+    return { currentRun: run };
+  });
+  if (changes && store.immediateMode)
+    queueImmediateSession(CONFIG.recoveryDelayMs);
+}
+
 // Alarm handler: session alarms and run end
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   // session alarm names: session-<runId>-<ts>
@@ -379,118 +327,330 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     const raw = alarm.name.slice(8); // after 'session-'
     const lastDash = raw.lastIndexOf("-");
     const runId = raw.slice(0, lastDash);
+    const ts = Number(raw.slice(lastDash + 1));
     const store = await getStore();
     // If not running or runId mismatch, ignore
     if (!store.isRunning || (store.runId && store.runId !== runId)) return;
-    triggerSession(alarm.name);
+    // A paused run skips its sessions but keeps a record of each
+    const paused = store.currentRun && store.currentRun.paused;
+    if (paused) {
+      await markScheduleEntry(ts, "skipped");
+      await addSessionRecord(pausedSessionRecord(store.currentRun, ts));
+      return;
+    }
+    // Chrome fires overdue alarms once on startup; those are missed sessions
+    // and the plan's missed-session policy decides what happens to them
+    if (Date.now() - alarm.scheduledTime > CONFIG.missedGraceMs)
+      return recoverRun();
+    await markScheduleEntry(ts, "completed");
+    requestSession({ source: "scheduled", runId, scheduledTs: ts });
   } else if (alarm.name.startsWith("end-")) {
-    // End of boost
     const store = await getStore();
-    await setStore({ isRunning: false, currentRun: null, runId: null });
-    chrome.notifications.create("ytboost-finished", {
-      type: "basic",
-      iconUrl: "icon-128.png",
-      title: "Boost complete!",
-      message: "7-day boost finished. Check your YouTube recommendations.",
-    });
+    if (store.runId && alarm.name !== `end-${store.runId}`) return;
+    await finishRun();
+  } else if (alarm.name === "immediate-next") {
+    const store = await getStore();
+    if (store.isRunning && store.immediateMode)
+      requestSession({ source: "immediate", runId: store.runId, active: true });
   }
 });
 
-// Trigger a single session: open a background tab and inject content script
-async function triggerSession(alarmName) {
+// End of boost
+async function finishRun() {
+  const store = await getStore();
+  const plan =
+    (store.currentRun && store.currentRun.plan) || (await getActivePlan());
+  await archiveRun(store.currentRun, "finished");
+  const runId = (store.currentRun && store.currentRun.id) || store.runId;
+  await updateCurrentRun(async () => {
+    // Sessions still queued for this run are over with it; manual ones stay
+    const { sessionQueue = [] } = await getStore(["sessionQueue"]);
+    return {
+      isRunning: false,
+      currentRun: null,
+      runId: null,
+      sessionQueue: sessionQueue.filter((r) => !runId || r.runId !== runId),
+    };
+  });
+  chrome.notifications.create("ytboost-finished", {
+    type: "basic",
+    iconUrl: "icon-128.png",
+    title: "Boost complete!",
+    message: `${plan.days}-day boost finished. Check your YouTube recommendations.`,
+  });
+}
+
+// Record a schedule timestamp as "completed" or "skipped"
+function markScheduleEntry(ts, field) {
+  return updateCurrentRun((run) => {
+    if (!run) return;
+    const list = run[field] || [];
+    if (list.includes(ts)) return;
+    return { currentRun: { ...run, [field]: [...list, ts] } };
+  });
+}
+
+// Bring a run back in line with its stored state after the browser restarted
+// or the worker was evicted. Only one recovery runs at a time.
+let recovering = null;
+function recoverRun() {
+  if (!recovering)
+    recovering = doRecoverRun().finally(() => {
+      recovering = null;
+    });
+  return recovering;
+}
+
+async function doRecoverRun() {
+  await recoverActiveSession();
   const store = await getStore();
-  const run = store.currentRun || {};
-  const keywords = run.keywords || CONFIG.defaultKeywords;
-  // choose a keyword (cycle randomly)
-  const keyword =
-    keywords[Math.floor(Math.random() * keywords.length)] ||
-    CONFIG.defaultKeywords[0];
-  // Create a non-active tab to YouTube
-  chrome.tabs.create(
-    { url: "https://www.youtube.com", active: false },
-    async (tab) => {
-      const tabId = tab.id;
-      // Inject content script file then send start message
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId },
-          files: ["content.js"],
-        });
-        // Start the session with params
-        chrome.tabs.sendMessage(tabId, {
-          action: "startSession",
-          params: {
-            keyword,
-            runId: run.id,
-            config: {
-              maxWatchSeconds: CONFIG.maxWatchSeconds,
-            },
-          },
-        });
-      } catch (err) {
-        // If injection fails, log and close the tab
-        console.error("Injection error", err);
-        chrome.tabs.remove(tabId).catch(() => {});
-        await appendLog({
-          kind: "error",
-          message: "Injection failure",
-          details: String(err),
-          time: Date.now(),
-        });
+  if (!store.isRunning) return;
+
+  if (store.immediateMode) {
+    // The immediate loop is alarm-driven; it only needs its next alarm back
+    const alarms = await getAllAlarms();
+    if (!alarms.some((a) => a.name === "immediate-next"))
+      queueImmediateSession(CONFIG.recoveryDelayMs);
+    return;
+  }
+
+  // Worked out inside the run queue so a session alarm marking its entry
+  // meanwhile isn't taken for a missed session
+  let ended = false;
+  await updateCurrentRun(async (run) => {
+    if (!run || !run.schedule) return;
+    const now = Date.now();
+    if (run.endTs && run.endTs <= now) {
+      ended = true;
+      return;
+    }
+    const alarms = await getAllAlarms();
+    const names = new Set(alarms.map((a) => a.name));
+
+    const completed = new Set(run.completed || []);
+    const pending = run.schedule.filter(
+      (ts) => !completed.has(ts) && !(run.skipped || []).includes(ts)
+    );
+    const missed = pending.filter((ts) => ts < now - CONFIG.missedGraceMs);
+    const policy = (run.plan && run.plan.missedSessionPolicy) || "skip";
+    let schedule = run.schedule;
+    let skipped = run.skipped || [];
+    let endTs = run.endTs;
+
+    if (missed.length) {
+      if (policy === "shift") {
+        // Move every pending session forward so the first missed one runs soon
+        const delta = now + CONFIG.recoveryDelayMs - missed[0];
+        const toShift = new Set(pending);
+        for (const a of alarms) {
+          if (a.name.startsWith(`session-${run.id}-`))
+            chrome.alarms.clear(a.name);
+        }
+        names.clear();
+        schedule = schedule.map((ts) => (toShift.has(ts) ? ts + delta : ts));
+        if (endTs) endTs += delta;
+      } else {
+        skipped = [...skipped, ...missed];
+        // One catch-up session stands in for everything that was missed
+        if (policy === "catchUp")
+          schedule = [...schedule, now + CONFIG.recoveryDelayMs];
       }
+      // Skipped sessions still get a history record so gaps are visible
+      for (const ts of missed.filter((t) => skipped.includes(t)))
+        await addSessionRecord(missedSessionRecord(run, ts, policy));
+    }
+
+    // Rebuild any alarms that did not survive the restart
+    const skippedSet = new Set(skipped);
+    for (const ts of schedule) {
+      if (completed.has(ts) || skippedSet.has(ts)) continue;
+      const name = sessionAlarmName(run.id, ts);
+      if (!names.has(name)) chrome.alarms.create(name, { when: ts });
     }
+    if (endTs && (endTs !== run.endTs || !names.has(`end-${run.id}`)))
+      chrome.alarms.create(`end-${run.id}`, { when: endTs });
+
+    return { currentRun: { ...run, schedule, skipped, endTs } };
+  });
+  if (ended) await finishRun();
+}
+
+chrome.runtime.onStartup.addListener(() => recoverRun());
+chrome.runtime.onInstalled.addListener(async () => {
+  await migrateLegacyLogs().catch((err) =>
+    console.error("Log migration failed:", err)
   );
+  recoverRun();
+});
+
+// Choose a keyword for the next session (uniform random)
+// Balance the run's keywords against their weights, using the sessions this
+// run has already recorded
+async function pickKeyword(keywords, runId) {
+  const list = keywords && keywords.length ? keywords : CONFIG.defaultKeywords;
+  const records = runId ? await querySessions({ runId }).catch(() => []) : [];
+  return pickBalancedKeyword(list, keywordUsage(records));
 }
 
-// Append session logs and keep trimmed
-async function appendLog(entry) {
-  const s = await getStore();
-  const logs = s.logs || [];
-  logs.unshift(entry);
-  if (logs.length > CONFIG.maxLogs) logs.length = CONFIG.maxLogs;
-  await setStore({ logs });
+// Engagement this session may perform (engagement.js), with today's caps
+// and channel sightings taken from recent history
+async function engagementForSession(keyword, settings) {
+  if (!settings) return null;
+  const records = await querySessions({ limit: 500 }).catch(() => []);
+  return engagementAllowance(settings, keyword, engagementUsage(records));
 }
 
-// Handle messages from content script (session results)
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === "sessionResult") {
-    // msg.result contains session details, sender.tab.id has tab id
-    (async () => {
-      const result = msg.result || {};
-      result.ts = Date.now();
-      result.tabId = sender.tab && sender.tab.id;
-      await appendLog(result);
-      // Close tab if still open
-      if (sender.tab && sender.tab.id) {
-        chrome.tabs.remove(sender.tab.id).catch(() => {});
-      }
+// What a negative training session may act on today (negative.js)
+async function negativeForSession(settings) {
+  const records = await querySessions({
+    from: Date.now() - DAY_MS,
+  }).catch(() => []);
+  return negativeAllowance(settings, engagementUsage(records));
+}
 
-      // In immediate mode, trigger another session after a brief delay
-      const s = await getStore();
-      if (s.immediateMode && s.isRunning && s.keywords) {
-        // Wait 5-15 seconds then start another session
-        setTimeout(() => {
-          triggerImmediateSession(s.keywords, s.runId);
-        }, Math.floor(Math.random() * 10000) + 5000); // 5-15 sec delay
-      }
+// Session type for a request: asked for explicitly, or every Nth session of
+// a run when negative training is set to interleave
+async function sessionTypeFor(request, store) {
+  if (request.type) return request.type;
+  if (!request.runId) return "search";
+  const records = await querySessions({ runId: request.runId }).catch(
+    () => []
+  );
+  const sessions = records.filter((r) => r.outcome !== "missed").length;
+  if (!isNegativeTurn(store.negativeTraining, sessions)) return "search";
+  return (await negativeForSession(store.negativeTraining))
+    ? "negative"
+    : "search";
+}
 
-      // Update daysCompleted if appropriate (simple heuristic)
-      let daysCompleted = s.daysCompleted || 0;
-      if (s.startTs) {
-        const daysPassed =
-          Math.floor((Date.now() - s.startTs) / (24 * 60 * 60 * 1000)) + 1;
-        daysCompleted = Math.min(daysPassed, CONFIG.days);
-      }
-      await setStore({ daysCompleted });
-      // small notification per session (quiet)
-      chrome.notifications.create(`ytboost-session-${Date.now()}`, {
-        type: "basic",
-        iconUrl: "icon-128.png",
-        title: "YT Boost session complete",
-        message: `Searched: "${result.keyword}" — watched ${Math.round(
-          result.watchSeconds
-        )}s`,
+// One negative training session now, from the popup; works without a run
+async function startNegativeSession() {
+  const { negativeTraining } = await getStore(["negativeTraining"]);
+  if (!hasNegativeRules(normalizeNegativeTraining(negativeTraining)))
+    return { error: "Add unwanted terms or channels first." };
+  if (!(await negativeForSession(negativeTraining)))
+    return { error: "Today's negative training cap is reached." };
+  if (await getActiveSession())
+    return { error: "A session is running; try again when it ends." };
+  requestSession({ source: "manual", type: "negative", active: true });
+  return { status: "started" };
+}
+
+// The selector registry for a session: the stored one over the built-in
+// roles. A configured URL is fetched again once a day; a failed refresh
+// keeps the stored registry.
+async function sessionSelectors(store) {
+  let registry = store.selectorRegistry || null;
+  const stale =
+    Date.now() - (store.selectorRegistryFetchedAt || 0) > SELECTOR_REFRESH_MS;
+  if (store.selectorRegistryUrl && stale) {
+    try {
+      const fetched = await fetchSelectorRegistry(store.selectorRegistryUrl);
+      // A revision that already failed in the page is not taken again
+      const rejected = fetched.revision === store.selectorRegistryRejected;
+      if (!rejected) registry = fetched;
+      await setStore({
+        selectorRegistry: registry,
+        selectorRegistryFetchedAt: Date.now(),
       });
-    })();
+    } catch (err) {
+      console.warn("Selector registry refresh failed:", err.message);
+    }
   }
-});
+  return mergeSelectorRegistry(registry);
+}
+
+// Add a session's selector match counts to the stored totals. A loaded
+// registry with selectors that didn't parse in the page is swapped for the
+// last one that ran clean; one that ran clean becomes the last good.
+async function recordSelectorStats(selectorHits) {
+  if (!selectorHits) return;
+  const { selectorStats, selectorRegistry, selectorRegistryLastGood } =
+    await getStore([
+      "selectorStats",
+      "selectorRegistry",
+      "selectorRegistryLastGood",
+    ]);
+  const registry = mergeSelectorRegistry(selectorRegistry);
+  const changes = {
+    selectorStats: mergeSelectorStats(selectorStats, selectorHits, registry),
+  };
+  const invalid = invalidSelectorRoles(selectorHits);
+  if (selectorRegistry && invalid.length) {
+    console.warn(
+      `Selector registry ${selectorRegistry.revision} has invalid selectors (${invalid.join(", ")}); going back to the last good one`
+    );
+    changes.selectorRegistry = selectorRegistryLastGood || null;
+    changes.selectorRegistryRejected = selectorRegistry.revision;
+  } else if (!invalid.length) {
+    changes.selectorRegistryLastGood = selectorRegistry || null;
+  }
+  await setStore(changes);
+}
+
+// Search query for this session's keyword, chosen from the plan's variation
+// rules (queries.js). The run remembers each keyword's recent queries for the
+// no-repeat rule.
+async function chooseRunQuery(keyword, plan) {
+  let query;
+  await updateCurrentRun((currentRun) => {
+    const memory = currentRun && currentRun.recentQueries;
+    query = chooseQuery(
+      keyword,
+      plan.variations,
+      recentQueriesFor(memory, keyword)
+    );
+    if (!currentRun) return;
+    return {
+      currentRun: {
+        ...currentRun,
+        recentQueries: rememberQuery(memory, keyword, query),
+      },
+    };
+  });
+  return query;
+}
+
+// Store a finished session in history, update run progress and notify
+// quietly. Called by the orchestrator once per session.
+async function recordSessionResult(session, result) {
+  try {
+    await addSessionRecord(normalizeSessionRecord(session, result));
+    await applyHistoryRetention();
+  } catch (err) {
+    console.error("Could not write session history:", err);
+  }
+  await recordSelectorStats(result.selectorHits);
+  if (result.errorCategory === INTERSTITIAL_ERRORS.botCheck && session.runId) {
+    const { interstitials } = await getStore(["interstitials"]);
+    if (normalizeInterstitials(interstitials).botCheck === "pause")
+      await pauseRun("YouTube asked to confirm this browser is not a bot");
+  }
+
+  // Update daysCompleted if appropriate (simple heuristic)
+  const s = await getStore();
+  let daysCompleted = s.daysCompleted || 0;
+  if (s.startTs && s.currentRun && s.currentRun.plan) {
+    const daysPassed =
+      Math.floor((Date.now() - s.startTs) / (24 * 60 * 60 * 1000)) + 1;
+    daysCompleted = Math.min(daysPassed, s.currentRun.plan.days);
+  }
+  await setStore({ daysCompleted });
+  // small notification per session (quiet)
+  chrome.notifications.create(`ytboost-session-${Date.now()}`, {
+    type: "basic",
+    iconUrl: "icon-128.png",
+    title: result.success
+      ? "YT Boost session complete"
+      : "YT Boost session failed",
+    message: !result.success
+      ? result.error || "Unknown error"
+      : session.type === "negative"
+        ? `Negative training: ${(result.actions || []).length} item(s)${
+            result.dryRun ? " found (dry run)" : " dismissed"
+          }`
+        : `Searched: "${result.query || result.keyword}" — watched ${Math.round(
+            result.watchSeconds || 0
+          )}s`,
+  });
+}
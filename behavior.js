@@ -0,0 +1,116 @@
+// Playback behavior profiles: how a session watches a video once it is
+// open. A profile sets how much of each video is watched and how likely the
+// viewer is to seek ahead, pause, change speed, read the comments and turn
+// the sound on. Every choice is drawn from a seeded RNG (rng.js) keyed by the
+// session seed and the video, so a session replays the same way, resumes
+// included.
+//
+// Plans pick a profile by id (plan.behavior). The plan's maxWatchSeconds
+// caps every video, whatever the profile draws.
+
+const BEHAVIOR_PROFILES = {
+  casual: {
+    label: "Casual",
+    // Share of the video watched, drawn between these bounds (see
+    // planPlayback)
+    watchRatio: [0.35, 0.85],
+    // jump: share of the video skipped per seek
+    seek: { chance: 0.25, max: 1, jump: [0.03, 0.1] },
+    pause: { chance: 0.3, seconds: [2, 10] },
+    speed: { chance: 0.1, rates: [1.25] },
+    comments: { chance: 0.3, seconds: [4, 12] },
+    volume: { muteChance: 0.5, level: [0.3, 0.7] },
+  },
+  skimmer: {
+    label: "Skimmer",
+    watchRatio: [0.15, 0.5],
+    seek: { chance: 0.7, max: 3, jump: [0.05, 0.2] },
+    pause: { chance: 0.1, seconds: [1, 4] },
+    speed: { chance: 0.5, rates: [1.25, 1.5, 2] },
+    comments: { chance: 0.1, seconds: [2, 6] },
+    volume: { muteChance: 0.8, level: [0.2, 0.5] },
+  },
+  completionist: {
+    label: "Completionist",
+    watchRatio: [0.85, 1],
+    seek: { chance: 0, max: 0, jump: [0, 0] },
+    pause: { chance: 0.2, seconds: [3, 15] },
+    speed: { chance: 0, rates: [1] },
+    comments: { chance: 0.6, seconds: [8, 25] },
+    volume: { muteChance: 0.3, level: [0.4, 0.9] },
+  },
+};
+
+const BEHAVIOR_PROFILE_IDS = Object.keys(BEHAVIOR_PROFILES);
+const DEFAULT_BEHAVIOR_PROFILE = "casual";
+// Videos this short are watched to the end by every profile
+const FULL_WATCH_SECONDS = 30;
+// Assumed length when the player reports none (live streams)
+const UNKNOWN_DURATION_SECONDS = 60;
+
+const normalizeBehaviorProfile = (id) =>
+  BEHAVIOR_PROFILES[id] ? id : DEFAULT_BEHAVIOR_PROFILE;
+
+function validateBehaviorProfile(id) {
+  return BEHAVIOR_PROFILES[id]
+    ? []
+    : [`Behavior profile must be one of ${BEHAVIOR_PROFILE_IDS.join(", ")}.`];
+}
+
+// The RNG for one video of a session; the same session seed and video give
+// the same draws
+const videoRng = (seed, videoId) => createRng(`${seed}:${videoId}`);
+
+// Everything a profile decides for one video, drawn up front:
+//   { profile, targetSeconds, rate, muted, volume,
+//     events: [{ at, type: "seek" | "pause" | "comments", jump?, seconds? }] }
+// targetSeconds is content to play; an event fires once that share (at) of
+// it has played.
+function planPlayback(profileId, durationSeconds, maxWatchSeconds, rng) {
+  const profile = normalizeBehaviorProfile(profileId);
+  const p = BEHAVIOR_PROFILES[profile];
+  const duration =
+    isFinite(durationSeconds) && durationSeconds > 0
+      ? durationSeconds
+      : UNKNOWN_DURATION_SECONDS;
+  // Mean of two draws: the middle of the range is likelier than its ends
+  const ratio =
+    duration <= FULL_WATCH_SECONDS
+      ? 1
+      : (rng.between(...p.watchRatio) + rng.between(...p.watchRatio)) / 2;
+  const targetSeconds = Math.min(
+    duration * ratio,
+    maxWatchSeconds > 0 ? maxWatchSeconds : Infinity
+  );
+
+  const events = [];
+  if (rng.chance(p.seek.chance)) {
+    const seeks = rng.int(1, p.seek.max);
+    for (let i = 0; i < seeks; i++)
+      events.push({
+        at: rng.between(0.1, 0.8),
+        type: "seek",
+        jump: rng.between(...p.seek.jump),
+      });
+  }
+  if (rng.chance(p.pause.chance))
+    events.push({
+      at: rng.between(0.15, 0.9),
+      type: "pause",
+      seconds: rng.between(...p.pause.seconds),
+    });
+  if (rng.chance(p.comments.chance))
+    events.push({
+      at: rng.between(0.3, 0.95),
+      type: "comments",
+      seconds: rng.between(...p.comments.seconds),
+    });
+  events.sort((a, b) => a.at - b.at);
+
+  const rate = rng.chance(p.speed.chance) ? rng.pick(p.speed.rates) : 1;
+  const muted = rng.chance(p.volume.muteChance);
+  const volume = muted
+    ? 0
+    : Math.round(rng.between(...p.volume.level) * 100) / 100;
+  return { profile, targetSeconds, rate, muted, volume, events };
+}
@@ -0,0 +1,338 @@
+// Export/import of everything worth moving between browser profiles: user
+// plans (with their keyword sets), the popup's keywords and topic, archived
+// runs and session history. Needs plans.js and history.js loaded first.
+//
+// Bundle shape (BUNDLE_VERSION 1):
+//   { format: "yt-rewire-bundle", version, exportedAt,
+//     settings: { keywords, lastTopic, mode, activePlanId, keywordProvider,
+//                 providerSettings, apiKey?, openaiApiKey? },
+//     plans: [plan], runArchive: [run], history: [record] }
+// API keys are only present when the user opted in on export.
+
+const BUNDLE_FORMAT = "yt-rewire-bundle";
+const BUNDLE_VERSION = 1;
+const BUNDLE_SETTINGS = [
+  "keywords",
+  "lastTopic",
+  "mode",
+  "activePlanId",
+  "keywordProvider",
+  "providerSettings",
+  "videoFilters",
+  "engagement",
+  "negativeTraining",
+  "interstitials",
+  "selectorRegistry",
+  "selectorRegistryUrl",
+];
+// Provider API keys (see KEYWORD_PROVIDERS), exported only on request
+const BUNDLE_SECRETS = ["apiKey", "openaiApiKey"];
+const RECORD_OUTCOMES = ["success", "failure", "timeout", "missed"];
+
+async function buildBundle({ includeApiKey = false } = {}) {
+  const s = await new Promise((r) =>
+    chrome.storage.local.get(
+      [...BUNDLE_SETTINGS, ...BUNDLE_SECRETS, "plans"],
+      r
+    )
+  );
+  const settings = {};
+  for (const key of BUNDLE_SETTINGS) {
+    if (s[key] !== undefined) settings[key] = s[key];
+  }
+  if (includeApiKey) {
+    for (const key of BUNDLE_SECRETS) if (s[key]) settings[key] = s[key];
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    plans: s.plans || [],
+    runArchive: await getRunArchive(),
+    history: await querySessions({ oldestFirst: true }),
+  };
+}
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+const isKeywordList = (v) =>
+  Array.isArray(v) && v.every((x) => typeof x === "string" || isObject(x));
+
+function validateSettings(settings, errors) {
+  if (!isObject(settings)) return errors.push("settings must be an object.");
+  if (settings.keywords !== undefined) {
+    if (!isKeywordList(settings.keywords))
+      errors.push("settings.keywords must be a list of keywords.");
+    else
+      errors.push(
+        ...validateKeywordEntries(settings.keywords.map(normalizeKeywordEntry))
+      );
+  }
+  for (const key of ["lastTopic", "activePlanId", "keywordProvider"]) {
+    if (settings[key] !== undefined && typeof settings[key] !== "string")
+      errors.push(`settings.${key} must be a string.`);
+  }
+  if (
+    settings.providerSettings !== undefined &&
+    !isObject(settings.providerSettings)
+  )
+    errors.push("settings.providerSettings must be an object.");
+  if (settings.videoFilters !== undefined && !isObject(settings.videoFilters))
+    errors.push("settings.videoFilters must be an object.");
+  if (settings.engagement !== undefined && !isObject(settings.engagement))
+    errors.push("settings.engagement must be an object.");
+  if (
+    settings.negativeTraining !== undefined &&
+    !isObject(settings.negativeTraining)
+  )
+    errors.push("settings.negativeTraining must be an object.");
+  if (
+    settings.interstitials !== undefined &&
+    !isObject(settings.interstitials)
+  )
+    errors.push("settings.interstitials must be an object.");
+  if (settings.selectorRegistry)
+    errors.push(
+      ...validateSelectorRegistry(settings.selectorRegistry).map(
+        (e) => `settings.selectorRegistry: ${e}`
+      )
+    );
+  for (const key of BUNDLE_SECRETS) {
+    if (settings[key] !== undefined && typeof settings[key] !== "string")
+      errors.push(`settings.${key} must be a string.`);
+  }
+  if (
+    settings.mode !== undefined &&
+    !["scheduled", "immediate"].includes(settings.mode)
+  )
+    errors.push('settings.mode must be "scheduled" or "immediate".');
+}
+
+function validateRecord(record, i, errors) {
+  const where = `history[${i}]`;
+  if (!isObject(record)) return errors.push(`${where} must be an object.`);
+  if (typeof record.id !== "string" || !record.id)
+    errors.push(`${where}.id must be a non-empty string.`);
+  if (!Number.isFinite(record.startedAt))
+    errors.push(`${where}.startedAt must be a timestamp.`);
+  if (!RECORD_OUTCOMES.includes(record.outcome))
+    errors.push(
+      `${where}.outcome must be one of ${RECORD_OUTCOMES.join(", ")}.`
+    );
+  if (!Array.isArray(record.videos))
+    errors.push(`${where}.videos must be a list.`);
+  // These feed the dashboard totals and the CSV export
+  if (!Number.isFinite(record.watchSeconds) || record.watchSeconds < 0)
+    errors.push(`${where}.watchSeconds must be a number of seconds.`);
+  for (const field of ["adSeconds", "stallSeconds"]) {
+    const v = record[field];
+    if (v !== undefined && (!Number.isFinite(v) || v < 0))
+      errors.push(`${where}.${field} must be a number of seconds.`);
+  }
+}
+
+function validateArchivedRun(run, i, errors) {
+  const where = `runArchive[${i}]`;
+  if (!isObject(run)) return errors.push(`${where} must be an object.`);
+  if (typeof run.id !== "string" || !run.id)
+    errors.push(`${where}.id must be a non-empty string.`);
+  if (!Number.isFinite(run.startTs))
+    errors.push(`${where}.startTs must be a timestamp.`);
+  if (!Array.isArray(run.schedule) || !run.schedule.every(Number.isFinite))
+    errors.push(`${where}.schedule must be a list of timestamps.`);
+}
+
+// Parse and check a bundle. Returns { bundle, errors }; bundle is the
+// normalized copy to import and is null when there are errors.
+function validateBundle(text) {
+  let data;
+  try {
+    data = typeof text === "string" ? JSON.parse(text) : text;
+  } catch (e) {
+    return { bundle: null, errors: ["Not valid JSON: " + e.message] };
+  }
+  const errors = [];
+  if (!isObject(data) || data.format !== BUNDLE_FORMAT)
+    return { bundle: null, errors: ["Not a YT Rewire export bundle."] };
+  if (!Number.isInteger(data.version) || data.version > BUNDLE_VERSION)
+    return {
+      bundle: null,
+      errors: [`Unsupported bundle version: ${data.version}.`],
+    };
+
+  const settings = data.settings || {};
+  validateSettings(settings, errors);
+  const lists = ["plans", "runArchive", "history"];
+  for (const key of lists) {
+    if (data[key] !== undefined && !Array.isArray(data[key]))
+      errors.push(`${key} must be a list.`);
+  }
+  if (errors.length) return { bundle: null, errors };
+
+  const plans = (data.plans || []).map(normalizePlan);
+  plans.forEach((plan, i) => {
+    if (!plan.id) errors.push(`plans[${i}] has no id.`);
+    if (BUILTIN_PLANS.some((p) => p.id === plan.id))
+      errors.push(`plans[${i}] uses the built-in id "${plan.id}".`);
+    for (const err of validatePlan(plan))
+      errors.push(`plans[${i}] (${plan.name || plan.id}): ${err}`);
+  });
+  const runArchive = data.runArchive || [];
+  runArchive.forEach((run, i) => validateArchivedRun(run, i, errors));
+  const history = data.history || [];
+  history.forEach((record, i) => validateRecord(record, i, errors));
+  if (errors.length) return { bundle: null, errors };
+
+  return {
+    bundle: {
+      version: data.version,
+      exportedAt: data.exportedAt || null,
+      settings,
+      plans,
+      runArchive,
+      history: history.map((r) => ({
+        ...r,
+        videos: r.videos.map(normalizeVideo),
+      })),
+    },
+    errors: [],
+  };
+}
+
+// What importing would change. mode is "merge" (imported items win on
+// matching ids, everything else is kept) or "replace" (stored plans, archive
+// and history are swapped for the bundle's).
+async function previewImport(bundle, mode, { includeApiKey = false } = {}) {
+  const s = await new Promise((r) =>
+    chrome.storage.local.get([...BUNDLE_SETTINGS, "plans"], r)
+  );
+  const storedPlanIds = new Set((s.plans || []).map((p) => p.id));
+  const storedRunIds = new Set((await getRunArchive()).map((r) => r.id));
+  const storedRecordIds = new Set(await sessionRecordIds());
+  const count = (items, stored) => {
+    const updated = items.filter((x) => stored.has(x.id)).length;
+    const importedIds = new Set(items.map((x) => x.id));
+    return {
+      added: items.length - updated,
+      updated,
+      removed:
+        mode === "replace"
+          ? [...stored].filter((id) => !importedIds.has(id)).length
+          : 0,
+    };
+  };
+  const settings = BUNDLE_SETTINGS.filter(
+    (key) =>
+      bundle.settings[key] !== undefined &&
+      JSON.stringify(bundle.settings[key]) !== JSON.stringify(s[key])
+  );
+  if (includeApiKey)
+    settings.push(...BUNDLE_SECRETS.filter((key) => bundle.settings[key]));
+  return {
+    mode,
+    plans: count(bundle.plans, storedPlanIds),
+    runArchive: count(bundle.runArchive, storedRunIds),
+    history: count(bundle.history, storedRecordIds),
+    settings,
+    hasApiKey: BUNDLE_SECRETS.some((key) => bundle.settings[key]),
+  };
+}
+
+const mergeById = (stored, imported) => {
+  const ids = new Set(imported.map((x) => x.id));
+  return [...imported, ...stored.filter((x) => !ids.has(x.id))];
+};
+
+async function applyImport(bundle, mode, { includeApiKey = false } = {}) {
+  const s = await new Promise((r) => chrome.storage.local.get(["plans"], r));
+  const update = {};
+  for (const key of BUNDLE_SETTINGS) {
+    if (bundle.settings[key] !== undefined) update[key] = bundle.settings[key];
+  }
+  if (includeApiKey) {
+    for (const key of BUNDLE_SECRETS)
+      if (bundle.settings[key]) update[key] = bundle.settings[key];
+  }
+
+  update.plans =
+    mode === "replace" ? bundle.plans : mergeById(s.plans || [], bundle.plans);
+  const planIds = [...BUILTIN_PLANS, ...update.plans].map((p) => p.id);
+  const activePlanId = update.activePlanId;
+  if (activePlanId && !planIds.includes(activePlanId))
+    update.activePlanId = DEFAULT_PLAN_ID;
+
+  const archive =
+    mode === "replace"
+      ? bundle.runArchive
+      : mergeById(await getRunArchive(), bundle.runArchive).sort(
+          (a, b) => b.startTs - a.startTs
+        );
+  update.runArchive = archive.slice(0, RUN_ARCHIVE_LIMIT);
+  await new Promise((r) => chrome.storage.local.set(update, r));
+
+  if (mode === "replace") await clearHistory();
+  await addSessionRecords(bundle.history);
+  await applyHistoryRetention();
+}
+
+const CSV_COLUMNS = [
+  "id",
+  "runId",
+  "source",
+  "scheduledAt",
+  "startedAt",
+  "endedAt",
+  "keyword",
+  "query",
+  "outcome",
+  "errorCategory",
+  "error",
+  "lastStep",
+  "watchSeconds",
+  "adSeconds",
+  "stallSeconds",
+  "videosPlanned",
+  "videosWatched",
+  "videosSkipped",
+  "shortsSeconds",
+  "videoIds",
+  "channels",
+  "actions",
+];
+
+// Quote every field; a leading =, +, - or @ is escaped so spreadsheets don't
+// evaluate video titles or errors as formulas
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+  if (/^[=+\-@]/.test(str) && typeof value !== "number") str = "'" + str;
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+const isoTime = (ts) => (ts ? new Date(ts).toISOString() : "");
+
+// One row per session; videos are summarized into the last columns
+function historyToCsv(records) {
+  const rows = records.map((r) => {
+    const channels = [
+      ...new Set(r.videos.map((v) => v.channelName).filter(Boolean)),
+    ];
+    const row = {
+      ...r,
+      scheduledAt: isoTime(r.scheduledTs),
+      startedAt: isoTime(r.startedAt),
+      endedAt: isoTime(r.endedAt),
+      videosWatched: r.videos.filter((v) => v.playedSeconds > 0).length,
+      videosSkipped: (r.skipped || []).length,
+      shortsSeconds: r.videos
+        .filter((v) => v.isShort)
+        .reduce((sum, v) => sum + v.playedSeconds, 0),
+      videoIds: r.videos.map((v) => v.videoId).join(" "),
+      channels: channels.join("; "),
+      actions: (r.actions || []).map((a) => `${a.type}:${a.videoId}`).join(" "),
+    };
+    return CSV_COLUMNS.map((col) => csvField(row[col])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
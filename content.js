@@ -5,17 +5,87 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const rand = (min, max) => Math.random() * (max - min) + min;
 const randInt = (min, max) => Math.floor(rand(min, max + 1));
 
-// Robust selector helpers
-function waitForSelector(selectors, timeout = 10000) {
+// Tell the background how far the session got; its watchdog records the last
+// step if the session hangs. extra may carry videosPlanned.
+function reportProgress(step, extra = {}) {
+  chrome.runtime
+    .sendMessage({ type: "sessionProgress", progress: { step, ...extra } })
+    .catch(() => {});
+}
+
+// Selector roles for this session (see selectors.js). The background sends
+// the registry in use; which selector of each role matched is counted in
+// the session state so the counts survive page loads.
+let selectorRoles = DEFAULT_SELECTOR_REGISTRY.roles;
+let selectorHits = {};
+
+// A registry refreshed by the service worker can't be syntax-checked there
+// (no DOM), so it is checked here: selectors that don't parse are dropped
+// and recorded for the background, which goes back to the last good
+// registry. A role left with none uses the built-in list.
+function useSelectors(registry, state) {
+  state.selectorHits = state.selectorHits || {};
+  selectorHits = state.selectorHits;
+  const roles = (registry && registry.roles) || DEFAULT_SELECTOR_REGISTRY.roles;
+  selectorRoles = {};
+  for (const [role, list] of Object.entries(roles)) {
+    const invalid = list.filter((sel) => !isValidSelector(sel));
+    if (invalid.length) {
+      console.warn(`Invalid selectors for ${role}, skipped:`, invalid);
+      const h = (selectorHits[role] = selectorHits[role] || { hits: {}, misses: 0 });
+      h.invalid = [...new Set([...(h.invalid || []), ...invalid])];
+    }
+    const valid = list.filter((sel) => !invalid.includes(sel));
+    selectorRoles[role] = valid.length ? valid : DEFAULT_SELECTOR_REGISTRY.roles[role];
+  }
+}
+
+// selector null counts a miss for the role
+function noteSelector(role, selector) {
+  const h = (selectorHits[role] = selectorHits[role] || { hits: {}, misses: 0 });
+  if (selector) h.hits[selector] = (h.hits[selector] || 0) + 1;
+  else h.misses++;
+}
+
+const roleSelector = (role) => selectorRoles[role].join(', ');
+
+// First element for a role, trying its selectors in order. quiet lookups
+// (polling) are not counted.
+function findRole(role, root = document, { quiet = false, visible = false } = {}) {
+  for (const sel of selectorRoles[role]) {
+    const el = root.querySelector(sel);
+    if (el && (!visible || isVisible(el))) {
+      if (!quiet) noteSelector(role, sel);
+      return el;
+    }
+  }
+  if (!quiet) noteSelector(role, null);
+  return null;
+}
+
+// Every element matching any of a role's selectors, in document order
+function findAllRole(role, root = document) {
+  const matched = selectorRoles[role].filter((sel) => root.querySelector(sel));
+  if (!matched.length) {
+    noteSelector(role, null);
+    return [];
+  }
+  for (const sel of matched) noteSelector(role, sel);
+  return [...root.querySelectorAll(matched.join(', '))];
+}
+
+// Resolves with the role's element once it appears; the hit or the miss is
+// counted once
+function waitForRole(role, timeout = 10000) {
   return new Promise((resolve, reject) => {
     const start = Date.now();
     (function check() {
-      for (const sel of selectors) {
-        const el = document.querySelector(sel);
-        if (el) return resolve(el);
+      const el = findRole(role, document, { quiet: true });
+      if (el) return resolve(findRole(role));
+      if (Date.now() - start > timeout) {
+        noteSelector(role, null);
+        return reject(new Error(`Selector timeout: ${role} (${selectorRoles[role].join(' | ')})`));
       }
-      if (Date.now() - start > timeout)
-        return reject(new Error("Selector timeout: " + selectors.join(" | ")));
       requestAnimationFrame(check);
     })();
   });
@@ -34,344 +104,1249 @@ async function typeSlowly(inputEl, text) {
   }
 }
 
-// Make small variation to keyword
-function varyKeyword(keyword) {
-  const variations = [
-    (k) => `${k}`,
-    (k) => `${k} 2025`,
-    (k) => `beginner ${k}`,
-    (k) => `${k} tutorial`,
-    (k) => `${k} best`,
-  ];
-  const fn = variations[randInt(0, variations.length - 1)];
-  return fn(keyword);
+// Wait until test() holds, false on timeout
+async function waitUntil(test, timeout) {
+  const start = Date.now();
+  while (!test()) {
+    if (Date.now() - start > timeout) return false;
+    await sleep(250);
+  }
+  return true;
+}
+
+// Session progress lives in the background (chrome.storage.session, per tab)
+// so a full page load that wipes this script can be resumed from it.
+// Resolves once the state is stored, so it is safe to navigate afterwards.
+function saveSessionState(state) {
+  return chrome.runtime
+    .sendMessage({ type: "sessionState", state })
+    .catch(() => {});
+}
+
+// Give up if a session keeps reloading pages instead of making progress
+const MAX_PAGE_LOADS = 8;
+
+const findSearchButton = () => findRole('searchButton');
+
+function resultsUrl(query) {
+  const searchQuery = encodeURIComponent(query).replace(/%20/g, '+');
+  return `https://www.youtube.com/results?search_query=${searchQuery}`;
 }
 
-async function runSession({ keyword, config }) {
+// "abc123" from /watch?v=abc123 or /shorts/abc123
+function videoIdFromUrl(url) {
   try {
-    console.log('Starting session with keyword:', keyword);
-    const usedKeyword = varyKeyword(keyword);
-    console.log('Using varied keyword:', usedKeyword);
-    
-    // Wait for search box with better selectors
-    const searchInput = await waitForSelector(
-      ["input#search", 'input[name="search_query"]', "#search-input input", "input[placeholder*='Search']"],
-      10000
-    );
-    console.log('Found search input:', searchInput);
-    
-    // Wait a bit for realistic load
-    await sleep(rand(2000, 3000));
-    
-    // Clear and type keyword
-    searchInput.focus();
-    searchInput.select();
-    await sleep(200);
-    await typeSlowly(searchInput, usedKeyword);
-    console.log('Typed keyword:', usedKeyword);
-    
-    // Try multiple methods to submit search
-    let searchSubmitted = false;
-    
-    // Method 1: Click search button
-    const searchButton = document.querySelector('#search-icon-legacy') || 
-                        document.querySelector('button[aria-label="Search"]') ||
-                        document.querySelector('#search-icon') ||
-                        document.querySelector('.ytSearchboxComponentButton');
-    
+    const u = new URL(url, window.location.href);
+    if (u.pathname.startsWith('/shorts/')) return u.pathname.split('/')[2] || null;
+    return u.searchParams.get('v');
+  } catch (e) {
+    return null;
+  }
+}
+
+const isOnVideoPage = () =>
+  window.location.href.includes('/watch') || window.location.href.includes('/shorts/');
+
+// Full navigation: this script is unloaded and the background resumes the
+// session from the saved state once the new page has loaded
+async function navigateAndResume(state, url) {
+  state.pageLoads = (state.pageLoads || 0) + 1;
+  if (state.pageLoads > MAX_PAGE_LOADS) {
+    // Ends the session, not just the video it happened on
+    const err = new Error('Too many page loads during session');
+    err.category = 'navigation';
+    throw err;
+  }
+  await saveSessionState(state);
+  window.location.href = url;
+  // Never resolves in practice: the page unloads
+  await sleep(15000);
+  throw new Error('Navigation did not happen: ' + url);
+}
+
+// Type the query into the search box and submit it
+async function searchFor(query) {
+  // Wait for search box with better selectors
+  const searchInput = await waitForRole('searchInput', 10000);
+  console.log('Found search input:', searchInput);
+  reportProgress("search-box-found");
+
+  // Wait a bit for realistic load
+  await sleep(rand(2000, 3000));
+
+  // Clear and type keyword
+  searchInput.focus();
+  searchInput.select();
+  await sleep(200);
+  await typeSlowly(searchInput, query);
+  console.log('Typed keyword:', query);
+
+  // Method 1: Click search button
+  const searchButton = findSearchButton();
+  if (searchButton) {
+    console.log('Found search button, clicking...');
+    searchButton.click();
+  } else {
+    // Method 2: Press Enter key
+    console.log('Search button not found, using Enter key...');
+    searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    await sleep(100);
+    searchInput.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter', bubbles: true }));
+  }
+  console.log('Search submitted successfully');
+  reportProgress("search-submitted");
+
+  // Wait for results to populate
+  await sleep(rand(4000, 6000));
+}
+
+// Get to the video at href: already there after a resume, a click from the
+// results page, or a direct navigation when the link is not on this page
+async function openVideo(state, href) {
+  const videoId = videoIdFromUrl(href);
+  if (isOnVideoPage() && videoIdFromUrl(window.location.href) === videoId) return;
+  const videoLink = window.location.href.includes('/results')
+    ? [...document.querySelectorAll('a[href]')].find(
+        (a) => videoIdFromUrl(a.href) === videoId && a.offsetWidth > 0 && a.offsetHeight > 0
+      )
+    : null;
+  if (!videoLink) return navigateAndResume(state, href);
+
+  // Click the video
+  videoLink.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(rand(500, 1000));
+  videoLink.click();
+
+  // Wait for video page to load
+  await sleep(rand(2000, 4000));
+}
+
+// Back to the search results for the next video
+async function returnToResults(state, index) {
+  if (window.location.href.includes('/shorts/')) {
+    console.log('On shorts page, using search button to return...');
+    const searchButton = findSearchButton();
     if (searchButton) {
-      console.log('Found search button, clicking...');
       searchButton.click();
-      searchSubmitted = true;
-    } else {
-      // Method 2: Press Enter key
-      console.log('Search button not found, using Enter key...');
-      searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
-      await sleep(100);
-      searchInput.dispatchEvent(new KeyboardEvent('keyup', { key: 'Enter', bubbles: true }));
-      searchSubmitted = true;
+      await sleep(rand(2000, 3000));
     }
-    
-    if (!searchSubmitted) throw new Error('Could not submit search');
-    console.log('Search submitted successfully');
-    
-    // Wait for results to populate
-    await sleep(rand(4000, 6000));
-    console.log('Waiting for search results...');
-    
-    // Get ALL videos from search results
-    const allVideoLinks = await getAllVideosFromResults();
-    console.log(`Found ${allVideoLinks.length} videos to watch`);
-    
-    if (allVideoLinks.length === 0) {
-      throw new Error('No videos found in search results');
+  } else {
+    console.log('Going back to search results...');
+    reportProgress(`returning-to-results-${index + 1}`);
+    window.history.back();
+    await sleep(rand(2000, 4000));
+  }
+
+  // Still not back: load the results page directly and resume there
+  if (!window.location.href.includes('/results')) {
+    console.log('Not back at search results, navigating to search URL...');
+    await navigateAndResume(state, resultsUrl(state.query));
+  }
+}
+
+// Interstitials (see interstitials.js). The lookups are quiet unless
+// something shows, so pages without interstitials don't count as misses.
+function spotRole(role) {
+  for (const sel of selectorRoles[role]) {
+    const el = document.querySelector(sel);
+    if (el && isVisible(el)) {
+      noteSelector(role, sel);
+      return el;
     }
-    
-    // Watch multiple videos (3-5 videos)
-    const videosToWatch = Math.min(allVideoLinks.length, randInt(2, 4));
-    let totalWatchTime = 0;
-    let successfulWatches = 0;
-    
-    for (let i = 0; i < videosToWatch; i++) {
-      const videoLink = allVideoLinks[i];
-      console.log(`Watching video ${i + 1}/${videosToWatch}:`, videoLink.href);
-      
+  }
+  return null;
+}
+
+// Ends the session with the interstitial's error category
+function interstitialError(kind, message) {
+  const err = new Error(message);
+  err.category = INTERSTITIAL_ERRORS[kind];
+  return err;
+}
+
+function recordInterstitial(state, kind, action) {
+  console.log(`Interstitial: ${kind} (${action})`);
+  state.interstitials = state.interstitials || [];
+  state.interstitials.push({ kind, action, url: window.location.href, at: Date.now() });
+}
+
+// Consent walls and sign-in prompts, on any page. Throws when the settings
+// say to give up or the page can't be got past.
+async function handleInterstitials(config, state) {
+  const actions = normalizeInterstitials(config.interstitials);
+  const consentPage = window.location.hostname === 'consent.youtube.com';
+  if (consentPage || spotRole('consentDialog')) {
+    if (actions.consent === 'abort')
+      throw interstitialError('consent', 'Cookie consent wall (set to abort)');
+    const button = spotRole(actions.consent === 'accept' ? 'consentAccept' : 'consentReject');
+    if (!button) throw interstitialError('consent', 'Cookie consent wall without a usable button');
+    recordInterstitial(state, 'consent', actions.consent);
+    if (consentPage) {
+      // The form sends the tab back to YouTube; the session resumes there
+      state.pageLoads = (state.pageLoads || 0) + 1;
+      await saveSessionState(state);
+      button.click();
+      await sleep(15000);
+      throw interstitialError('consent', 'The consent page did not return to YouTube');
+    }
+    button.click();
+    await sleep(rand(1500, 2500));
+  }
+  const prompt = spotRole('signInPrompt');
+  if (prompt) {
+    if (actions.signIn === 'abort')
+      throw interstitialError('signIn', 'Sign-in prompt (set to abort)');
+    const dismiss = spotRole('signInDismiss');
+    if (dismiss) dismiss.click();
+    else closePopups();
+    recordInterstitial(state, 'signIn', 'dismiss');
+    await sleep(rand(800, 1500));
+  }
+}
+
+// Wait for the watch page's player to load the video or show its error
+// screen. A bot check ends the session; an age gate ends it or, by default,
+// skips the video. Returns the skip reason, or null when the video plays.
+async function checkPlayer(config, state) {
+  const actions = normalizeInterstitials(config.interstitials);
+  await waitUntil(() => {
+    const videoEl = findRole('videoPlayer', document, { quiet: true });
+    return (videoEl && videoEl.readyState >= 1) || findRole('playerError', document, { quiet: true });
+  }, 10000);
+  const error = spotRole('playerError');
+  if (!error) return null;
+  const text = error.textContent.replace(/\s+/g, ' ').trim();
+  if (BOT_CHECK_PATTERN.test(text)) {
+    recordInterstitial(state, 'botCheck', actions.botCheck);
+    throw interstitialError('botCheck', `YouTube bot check: ${text.slice(0, 120)}`);
+  }
+  if (AGE_GATE_PATTERN.test(text)) {
+    recordInterstitial(state, 'ageGate', actions.ageGate);
+    if (actions.ageGate === 'abort') throw interstitialError('ageGate', 'Age-restricted video (set to abort)');
+    return 'age-restricted';
+  }
+  return `player error: ${text.slice(0, 80)}`;
+}
+
+const adShowing = () => {
+  const player = findRole('moviePlayer', document, { quiet: true });
+  return Boolean(player && player.classList.contains('ad-showing'));
+};
+
+// Ads play in the same <video> element as the content. Wait them out,
+// clicking Skip when allowed and shown; true if there was an ad. meter
+// (playbackMeter) is sampled throughout so the wait counts as ad time.
+async function getPastAds(config, state, meter, timeout = 3 * 60 * 1000) {
+  if (!adShowing()) return false;
+  const actions = normalizeInterstitials(config.interstitials);
+  recordInterstitial(state, 'ads', actions.ads);
+  const deadline = Date.now() + timeout;
+  while (adShowing() && Date.now() < deadline) {
+    const skip = actions.ads === 'skip' ? spotRole('adSkipButton') : null;
+    if (skip) {
+      console.log('Skipping ad');
+      skip.click();
+    }
+    await sleep(500);
+    meter.sample();
+  }
+  return true;
+}
+
+// Runs (or resumes, given saved state) one search->watch session
+// query is the search the background chose for keyword (see queries.js)
+async function runSession({ keyword, query, config }, saved = null) {
+  const state = saved || {
+    keyword,
+    query: query || keyword,
+    queue: [],
+    planned: 0,
+    index: 0,
+    watched: [],
+    skipped: [],
+    shortsWatched: 0,
+    actions: [],
+    interstitials: [],
+    totalWatchTime: 0,
+    adSeconds: 0,
+    stallSeconds: 0,
+    successfulWatches: 0,
+    pageLoads: 0
+  };
+  useSelectors(config.selectors, state);
+  try {
+    console.log(saved ? 'Resuming session:' : 'Starting session with keyword:', keyword);
+    console.log('Using query:', state.query);
+
+    await handleInterstitials(config, state);
+    if (!state.queue.length) {
+      await saveSessionState(state);
+      if (!window.location.href.includes('/results')) await searchFor(state.query);
+
+      // Rank the results that pass the filters
+      const candidates = rankSearchResults(config, state);
+      console.log(`Found ${candidates.length} videos to watch`);
+      if (candidates.length === 0) {
+        throw new Error('No videos found in search results');
+      }
+      // Watch multiple videos (2-4 videos)
+      state.planned = Math.min(candidates.length, randInt(2, 4));
+      state.queue = candidates.map((c) => c.url);
+      reportProgress("results-parsed", { videosPlanned: state.planned });
+      await saveSessionState(state);
+    }
+
+    while (state.index < state.planned) {
+      const i = state.index;
+      const href = state.queue[i];
+      console.log(`Watching video ${i + 1}/${state.planned}:`, href);
+
+      // A Short the policy no longer allows gives its slot to the next result
+      const allowance = href.includes('/shorts/') ? shortsAllowance(config, state) : null;
+      if (allowance && !allowance.left) {
+        recordSkip(state, { videoId: videoIdFromUrl(href), url: href }, allowance.reason);
+        if (state.planned < state.queue.length) state.planned++;
+        state.index++;
+        await saveSessionState(state);
+        continue;
+      }
+
       try {
-        // Click the video
-        videoLink.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        await sleep(rand(500, 1000));
-        videoLink.click();
-        
-        // Wait for video page to load and check if we're on a video page
-        await sleep(rand(2000, 4000));
-        
+        await openVideo(state, href);
+        await handleInterstitials(config, state);
+
         // Verify we're on a video/shorts page
-        if (!window.location.href.includes('/watch') && !window.location.href.includes('/shorts/')) {
+        const blocked = isOnVideoPage() ? await checkPlayer(config, state) : null;
+        const verdict = isOnVideoPage() && !blocked
+          ? filterCurrentVideo(config.filters, state)
+          : null;
+        if (!isOnVideoPage()) {
           console.log('Not on video page, skipping...');
-          continue;
-        }
-        
-        const watchTime = await watchCurrentVideo(config);
-        totalWatchTime += watchTime;
-        successfulWatches++;
-        
-        console.log(`Video ${i + 1} completed. Watch time: ${watchTime}s`);
-        
-        // Go back to search results (except for last video)
-        if (i < videosToWatch - 1) {
-          const isCurrentlyOnShorts = window.location.href.includes('/shorts/');
-          
-          if (isCurrentlyOnShorts) {
-            console.log('On shorts page, using search button to return...');
-            
-            // Click search button to go back to search
-            const searchButton = document.querySelector('#search-icon-legacy') || 
-                                document.querySelector('button[aria-label="Search"]') ||
-                                document.querySelector('#search-icon') ||
-                                document.querySelector('.ytSearchboxComponentButton');
-            
-            if (searchButton) {
-              console.log('Found search button, clicking...');
-              searchButton.click();
-              await sleep(rand(2000, 3000));
-            } else {
-              // Fallback: navigate to search URL directly
-              console.log('Search button not found, navigating to search URL...');
-              const searchQuery = usedKeyword.replace(/\s+/g, '+');
-              window.location.href = `https://www.youtube.com/results?search_query=${encodeURIComponent(searchQuery)}`;
-              await sleep(rand(3000, 4000));
-            }
-            
-          } else {
-            console.log('Going back to search results...');
-            window.history.back();
-            await sleep(rand(2000, 4000));
-          }
-          
-          // Verify we're back on search results
-          let backAttempts = 0;
-          while (!window.location.href.includes('/results') && backAttempts < 3) {
-            console.log('Not back at search results, trying direct navigation...');
-            const searchQuery = usedKeyword.replace(/\s+/g, '+');
-            window.location.href = `https://www.youtube.com/results?search_query=${encodeURIComponent(searchQuery)}`;
-            await sleep(3000);
-            backAttempts++;
-          }
-          
-          if (!window.location.href.includes('/results')) {
-            console.log('Could not return to search results, ending session');
-            break;
-          }
+        } else if (blocked) {
+          recordSkip(state, readVideoDetails(null), blocked);
+        } else if (verdict.blocked) {
+          console.log('Skipping filtered video:', verdict.reason);
+        } else {
+          reportProgress(`watching-video-${i + 1}`);
+          const entries = await watchCurrentVideo(config, state);
+          const watchTime = entries.reduce((sum, v) => sum + v.playedSeconds, 0);
+          state.totalWatchTime += watchTime;
+          state.adSeconds = (state.adSeconds || 0) + entries.reduce((sum, v) => sum + (v.adSeconds || 0), 0);
+          state.stallSeconds = (state.stallSeconds || 0) + entries.reduce((sum, v) => sum + (v.stallSeconds || 0), 0);
+          if (watchTime > 0) state.successfulWatches++;
+          state.watched.push(...entries);
+          console.log(`Video ${i + 1} completed. Watch time: ${watchTime}s`);
         }
-        
       } catch (videoError) {
+        // Interstitials and the page-load cap end the session; they are not a
+        // per-video problem
+        if (videoError.category) throw videoError;
         console.log(`Error watching video ${i + 1}:`, videoError);
-        // Try to go back and continue with next video
-        if (i < videosToWatch - 1) {
-          try {
-            window.history.back();
-            await sleep(2000);
-          } catch (backError) {
-            console.log('Could not go back, ending session');
-            break;
-          }
-        }
+        recordSkip(state, readVideoDetails(null), `error: ${videoError.message || videoError}`);
+        state.lastVideoError = String(videoError.message || videoError);
       }
+      state.index++;
+      await saveSessionState(state);
+
+      // Go back to search results (except for last video)
+      if (state.index < state.planned) await returnToResults(state, i);
     }
-    
-    console.log(`Session completed. Videos watched: ${successfulWatches}/${videosToWatch}, Total time: ${totalWatchTime}s`);
-    return { 
-      success: true, 
-      keyword: usedKeyword, 
-      watchSeconds: totalWatchTime, 
-      videosWatched: successfulWatches,
-      videosAttempted: videosToWatch
+
+    // Nothing watched because of errors: fail with the last one so the
+    // session is categorized by it rather than recorded as a success
+    if (!state.successfulWatches && state.lastVideoError) throw new Error(state.lastVideoError);
+
+    console.log(`Session completed. Videos watched: ${state.successfulWatches}/${state.planned}, Total time: ${state.totalWatchTime}s (ads ${state.adSeconds || 0}s, stalled ${state.stallSeconds || 0}s)`);
+    return {
+      success: true,
+      keyword: state.keyword,
+      query: state.query,
+      // Content only; ads and stalls are reported apart
+      watchSeconds: state.totalWatchTime,
+      contentSeconds: state.totalWatchTime,
+      adSeconds: state.adSeconds || 0,
+      stallSeconds: state.stallSeconds || 0,
+      videosWatched: state.successfulWatches,
+      videosAttempted: state.planned,
+      videos: state.watched,
+      skipped: state.skipped,
+      actions: state.actions || [],
+      interstitials: state.interstitials || [],
+      selectorHits: state.selectorHits,
+      pageLoads: state.pageLoads
     };
-    
+
   } catch (err) {
     console.error('Session error:', err);
-    return { success: false, error: String(err), keyword };
+    return {
+      success: false,
+      error: String(err),
+      errorCategory: err.category || null,
+      keyword: state.keyword,
+      query: state.query,
+      watchSeconds: state.totalWatchTime,
+      contentSeconds: state.totalWatchTime,
+      adSeconds: state.adSeconds || 0,
+      stallSeconds: state.stallSeconds || 0,
+      videos: state.watched,
+      skipped: state.skipped,
+      actions: state.actions || [],
+      interstitials: state.interstitials || [],
+      selectorHits: state.selectorHits
+    };
   }
 }
 
-// Get all video links from search results page
-async function getAllVideosFromResults() {
-  const videoLinks = [];
-  const selectors = [
-    'ytd-video-renderer h3 a',
-    'ytd-video-renderer #video-title',
-    'ytd-shorts-lockup-view-model a',
-    'ytd-reel-item-renderer a',
-    'a[href*="/watch?v="]',
-    'a[href*="/shorts/"]'
-  ];
-  
-  for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector);
-    for (const el of elements) {
-      const href = el.href;
-      if (href && (href.includes('/watch?v=') || href.includes('/shorts/')) &&
-          el.offsetWidth > 0 && el.offsetHeight > 0) {
-        // Avoid duplicates
-        if (!videoLinks.find(link => link.href === href)) {
-          videoLinks.push(el);
-        }
-      }
+const isVisible = (el) => el.offsetWidth > 0 && el.offsetHeight > 0;
+
+// Structured description of one search result (see ranking.js). link is the
+// result's video link; badges that can't be read are left null.
+function readResultCandidate(renderer, link) {
+  const titleEl = findRole('resultTitle', renderer);
+  const channelLink = findRole('resultChannel', renderer);
+  const channelHref = channelLink && channelLink.getAttribute('href');
+  const durationText = textOf('durationBadge', renderer);
+  const metadata = findAllRole('resultMetadata', renderer).map((el) => el.textContent.trim());
+  const badges = findAllRole('resultBadge', renderer).map((el) => el.textContent.trim().toUpperCase());
+  const overlay = findRole('timeOverlay', renderer);
+  const overlayStyle = overlay ? overlay.getAttribute('overlay-style') : null;
+  const isShort = link.href.includes('/shorts/') || overlayStyle === 'SHORTS' ||
+    /shorts-lockup|reel-item/i.test(renderer.tagName);
+  const sponsored = Boolean(renderer.closest(roleSelector('adContainer'))) ||
+    badges.some((b) => b === 'AD' || b === 'SPONSORED');
+  return {
+    videoId: videoIdFromUrl(link.href),
+    url: link.href,
+    title: ((titleEl && (titleEl.getAttribute('title') || titleEl.textContent)) || link.textContent || '').trim(),
+    channelName: channelLink ? channelLink.textContent.trim() : null,
+    channelHandle: channelHandleFromHref(channelHref),
+    channelId: channelIdFromHref(channelHref),
+    durationSeconds: parseDurationBadge(durationText),
+    views: metadata.map(parseViewCount).find((v) => v !== null) ?? null,
+    ageDays: metadata.map(parseUploadAge).find((v) => v !== null) ?? null,
+    isShort,
+    sponsored,
+    live: overlayStyle === 'LIVE' || badges.some((b) => b === 'LIVE' || b === 'LIVE NOW') ||
+      metadata.some((m) => /watching/i.test(m)),
+    source: sponsored ? 'ad' : renderer.closest(roleSelector('shortsShelf')) ? 'shorts-shelf' : 'result'
+  };
+}
+
+// Remember a video the filters ruled out, with the reason (reported in the
+// session result and kept in history)
+function recordSkip(state, video, reason) {
+  console.log(`Skipping ${video.videoId} "${video.title || ''}" (${video.channelName || 'unknown channel'}): ${reason}`);
+  if (state.skipped.some((s) => s.videoId === video.videoId)) return;
+  state.skipped.push({
+    videoId: video.videoId,
+    title: video.title || null,
+    channelName: video.channelName || null,
+    reason
+  });
+}
+
+// Check the open watch page; channel info there is more reliable than on
+// the results page
+function filterCurrentVideo(filters, state) {
+  const video = readVideoDetails(findRole('videoPlayer'));
+  const verdict = checkVideoFilters(video, filters);
+  if (verdict.blocked) recordSkip(state, video, verdict.reason);
+  return verdict;
+}
+
+// Every video on the results page as a candidate, in page order. Links
+// outside a known renderer (a layout change) are still picked up, with
+// whatever the link itself tells.
+function extractResultCandidates() {
+  const candidates = [];
+  const seen = new Set();
+  const add = (renderer, link) => {
+    const videoId = videoIdFromUrl(link.href);
+    if (!videoId || seen.has(videoId) || !isVisible(link)) return;
+    seen.add(videoId);
+    candidates.push(readResultCandidate(renderer, link));
+  };
+  const renderers = roleSelector('resultItem');
+  for (const renderer of findAllRole('resultItem')) {
+    // Nested renderers (a rich item wrapping a video renderer) count once
+    if (renderer.parentElement && renderer.parentElement.closest(renderers)) continue;
+    const link = findRole('resultLink', renderer);
+    if (link) add(renderer, link);
+  }
+  for (const link of findAllRole('videoLink')) {
+    if (!link.closest(roleSelector('relatedContainer')))
+      add(link.closest(renderers) || link, link);
+  }
+  return candidates;
+}
+
+// Search results in watch order: ads, live streams (when the plan says so)
+// and filtered videos are skipped and logged, the rest ranked by the plan's
+// ranking rules (ranking.js)
+function rankSearchResults(config, state) {
+  const rng = createRng(config.seed);
+  const shortsPolicy = normalizeShortsPolicy(config.shorts);
+  const eligible = [];
+  for (const c of extractResultCandidates()) {
+    let reason = null;
+    if (c.sponsored) reason = 'sponsored result';
+    else if (c.live && config.ranking.skipLive) reason = 'live stream';
+    else if (c.isShort && shortsPolicy.policy === 'avoid') reason = 'Shorts avoided by plan';
+    const verdict = reason ? null : checkVideoFilters(c, config.filters);
+    if (verdict && verdict.blocked) reason = verdict.reason;
+    if (reason) recordSkip(state, c, reason);
+    else eligible.push({ ...c, allowScore: verdict.score });
+  }
+  const ranked = rankCandidates(eligible, state.query, config.ranking, shortsPolicy, rng);
+  for (const c of ranked.slice(0, 10))
+    console.log(`Ranked ${c.score.toFixed(2)} ${c.isShort ? '[short] ' : ''}${c.title} (${c.channelName || 'unknown channel'})`);
+  return ranked.slice(0, 10);
+}
+
+// Text of the first element of a role that has any, trimmed
+function textOf(role, root = document) {
+  for (const sel of selectorRoles[role]) {
+    const el = root.querySelector(sel);
+    if (el && el.textContent.trim()) {
+      noteSelector(role, sel);
+      return el.textContent.trim();
     }
   }
-  
-  // Shuffle for variety
-  return videoLinks.sort(() => Math.random() - 0.5).slice(0, 10);
+  noteSelector(role, null);
+  return null;
+}
+
+// "UC..." from /channel/UC..., otherwise the "@handle" from /@handle
+function channelIdFromHref(href) {
+  if (!href) return null;
+  const m = href.match(/\/channel\/(UC[\w-]+)|\/(@[^/?#]+)/);
+  return m ? m[1] || decodeURIComponent(m[2]) : null;
+}
+
+// "@handle" from /@handle links
+function channelHandleFromHref(href) {
+  const m = href && href.match(/\/(@[^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+// The Short currently on screen in the reel player
+const activeReel = () => findRole('shortsActiveReel');
+
+// What is playing right now: IDs from the URL, title/channel from the page
+function readVideoDetails(videoEl) {
+  const url = window.location.href;
+  const isShort = url.includes('/shorts/');
+  const root = (isShort && activeReel()) || document;
+  const channelLink = findRole(isShort ? 'shortsChannel' : 'watchChannel', root);
+  const metaChannelId = isShort ? null : findRole('channelIdMeta');
+  const duration = videoEl && videoEl.duration;
+  return {
+    videoId: videoIdFromUrl(url),
+    url,
+    title: isShort
+      ? textOf('shortsTitle', root)
+      : textOf('watchTitle') ||
+        document.title.replace(/ - YouTube$/, ''),
+    channelName: channelLink ? channelLink.textContent.trim() : null,
+    channelHandle: channelHandleFromHref(channelLink && channelLink.getAttribute('href')),
+    channelId:
+      (metaChannelId && metaChannelId.content) ||
+      channelIdFromHref(channelLink && channelLink.getAttribute('href')),
+    durationSeconds: isFinite(duration) && duration > 0 ? Math.round(duration) : null,
+    playedSeconds: 0,
+    isShort
+  };
+}
+
+// Splits the time a video is open into content, ads and stalls. Content
+// seconds come from video.currentTime: forward steps that are too big for
+// the elapsed time are seeks and loops restart at 0, so neither counts as
+// played. While the player shows an ad the wall time is ad time; wall time
+// without content progress otherwise (buffering, paused, stuck) is stall
+// time. sample() returns the content seconds so far.
+function playbackMeter(videoEl) {
+  let last = videoEl.currentTime;
+  let lastAt = Date.now();
+  let played = 0;
+  let ads = 0;
+  let stalled = 0;
+  return {
+    sample() {
+      const now = Date.now();
+      const elapsed = (now - lastAt) / 1000;
+      const delta = videoEl.currentTime - last;
+      const maxDelta = elapsed * Math.max(videoEl.playbackRate, 1) + 0.5;
+      if (adShowing()) ads += elapsed;
+      else if (delta > 0 && delta <= maxDelta) played += delta;
+      else if (delta <= 0 && !videoEl.ended) stalled += elapsed;
+      last = videoEl.currentTime;
+      lastAt = now;
+      return played;
+    },
+    // Drop the time since the last sample without counting it anywhere
+    // (a deliberate pause)
+    idle() {
+      last = videoEl.currentTime;
+      lastAt = Date.now();
+    },
+    totals() {
+      this.sample();
+      return {
+        contentSeconds: Math.round(played),
+        adSeconds: Math.round(ads),
+        stallSeconds: Math.round(stalled)
+      };
+    }
+  };
+}
+
+// A video entry's time fields from its meter
+function meterEntry(meter) {
+  const t = meter.totals();
+  return { playedSeconds: t.contentSeconds, adSeconds: t.adSeconds, stallSeconds: t.stallSeconds };
+}
+
+// A player that stopped making progress: play again, with the player's
+// own button if the element refuses
+const STALL_RETRY_SECONDS = 5;
+const MAX_PLAY_RETRIES = 4;
+
+async function retryPlay(videoEl, plan) {
+  try {
+    await playAllowingMute(videoEl);
+  } catch (err) {
+    console.log('Play retry failed:', err.message);
+  }
+  await sleep(500);
+  if (videoEl.paused) {
+    const button = findRole('playButton', document, { visible: true });
+    if (button) button.click();
+  }
+  // Playing again: back to the plan's sound if the retry had to mute
+  if (!videoEl.paused && plan && !plan.muted && videoEl.muted) await applyPlaybackSettings(videoEl, plan);
 }
 
-// Watch current video page
-async function watchCurrentVideo(config) {
+// Play with the sound as it is; muted only when Chrome's autoplay policy
+// rejects playback with sound
+async function playAllowingMute(videoEl) {
   try {
-    console.log('Loading video page...');
-    const currentUrl = window.location.href;
-    const isShorts = currentUrl.includes('/shorts/');
-    console.log('Video type:', isShorts ? 'Shorts' : 'Regular Video');
-    
-    if (isShorts) {
-      // Handle YouTube Shorts differently - watch multiple shorts by scrolling
-      console.log('Handling YouTube Shorts...');
-      
-      const shortsToWatch = randInt(2, 4); // Watch 2-4 shorts
-      console.log(`Will watch ${shortsToWatch} shorts by scrolling`);
-      
-      for (let shortIndex = 0; shortIndex < shortsToWatch; shortIndex++) {
-        const watchTime = rand(5, 15); // Each short 5-15 seconds
-        console.log(`Watching short ${shortIndex + 1}/${shortsToWatch} for ${watchTime}s`);
-        
-        // Watch current short
-        await sleep(watchTime * 1000);
-        
-        // Scroll down to next short (except for last one)
-        if (shortIndex < shortsToWatch - 1) {
-          console.log('Scrolling to next short...');
-          window.scrollBy({ top: window.innerHeight, behavior: 'smooth' });
-          await sleep(rand(1000, 2000)); // Wait for next short to load
-        }
+    await videoEl.play();
+    return;
+  } catch (err) {
+    if (videoEl.muted) throw err;
+    console.log('Play with sound was blocked, muting:', err.message);
+  }
+  videoEl.muted = true;
+  await videoEl.play();
+}
+
+async function startPlayback(videoEl) {
+  try {
+    await playAllowingMute(videoEl);
+    console.log('Video playing');
+  } catch (err) {
+    console.log('Play error (autoplay policy):', err.message);
+  }
+  // Wait for video to load metadata
+  await new Promise((resolve) => {
+    if (videoEl.readyState >= 1) resolve();
+    else videoEl.addEventListener('loadedmetadata', resolve, { once: true });
+  });
+}
+
+// Speed and sound from the behavior plan. Unmuted playback needs a user
+// gesture Chrome may not credit us with; if it pauses the video we go back
+// to muted.
+async function applyPlaybackSettings(videoEl, plan) {
+  videoEl.playbackRate = plan.rate;
+  if (plan.muted) {
+    videoEl.muted = true;
+    return;
+  }
+  videoEl.volume = plan.volume;
+  videoEl.muted = false;
+  await sleep(500);
+  if (videoEl.paused && !videoEl.ended) {
+    console.log('Unmuted playback was blocked, staying muted');
+    videoEl.muted = true;
+    await videoEl.play().catch(() => {});
+  }
+}
+
+// One behavior plan event (behavior.js) while watching. The video keeps
+// playing while the comments are read.
+async function playbackEvent(videoEl, event, meter) {
+  meter.sample();
+  if (event.type === 'seek') {
+    const duration = videoEl.duration;
+    if (!isFinite(duration) || duration <= 0) return;
+    const to = Math.min(videoEl.currentTime + event.jump * duration, duration - 5);
+    if (to <= videoEl.currentTime) return;
+    console.log(`Seeking ahead to ${Math.round(to)}s`);
+    videoEl.currentTime = to;
+    await sleep(1000);
+    // The skipped stretch isn't watch time
+    meter.idle();
+  } else if (event.type === 'pause') {
+    console.log(`Pausing for ${Math.round(event.seconds)}s`);
+    videoEl.pause();
+    await sleep(event.seconds * 1000);
+    await videoEl.play().catch(() => {});
+    meter.idle();
+  } else if (event.type === 'comments') {
+    const comments = findRole('commentsSection', document);
+    if (!comments) return;
+    console.log(`Reading comments for ${Math.round(event.seconds)}s`);
+    comments.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    await sleep(event.seconds * 1000);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    await sleep(rand(500, 1000));
+  }
+}
+
+// The video element of the Short on screen; the reel keeps neighbouring
+// Shorts in the DOM, so a plain 'video' query can return the wrong one
+const activeShortVideo = (options) => findRole('shortsPlayer', document, options);
+
+// Resolves with the active Short's video element once the URL shows an ID
+// other than previousId and the element has metadata; null on timeout
+async function waitForShortChange(previousId, timeout = 8000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const id = videoIdFromUrl(window.location.href);
+    const videoEl = activeShortVideo({ quiet: true });
+    if (id && id !== previousId && videoEl && videoEl.readyState >= 1) return activeShortVideo();
+    await sleep(250);
+  }
+  return null;
+}
+
+// Move to the next Short with the player's own control, the Down arrow as a
+// fallback. Returns the new video element, or null if the Short didn't change.
+async function nextShort() {
+  const previousId = videoIdFromUrl(window.location.href);
+  const button = findRole('shortsNext', document, { visible: true });
+  if (button && !button.disabled) button.click();
+  else document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40, bubbles: true }));
+  return waitForShortChange(previousId);
+}
+
+// Watch up to limit Shorts, starting with the one on screen and moving on
+// with the next control. One entry per Short with its measured playback.
+async function watchShorts(config, limit) {
+  console.log('Handling YouTube Shorts...');
+  const shortsToWatch = Math.min(randInt(2, 4), limit);
+  console.log(`Will watch ${shortsToWatch} shorts`);
+  const watched = [];
+  let videoEl = activeShortVideo() || (await waitForRole('videoPlayer', 8000));
+
+  for (let shortIndex = 0; shortIndex < shortsToWatch; shortIndex++) {
+    await startPlayback(videoEl);
+    const entry = readVideoDetails(videoEl);
+    // Most of the Short, at most 45s (and the plan's cap); 5-15s when the
+    // length is unknown. Seeded like regular videos.
+    const rng = videoRng(config.seed, entry.videoId);
+    const target = Math.min(
+      entry.durationSeconds ? Math.min(entry.durationSeconds * rng.between(0.7, 1.0), 45) : rng.between(5, 15),
+      config.maxWatchSeconds || Infinity
+    );
+    console.log(`Watching short ${shortIndex + 1}/${shortsToWatch} (${entry.videoId}) for ${target.toFixed(1)}s`);
+    const meter = playbackMeter(videoEl);
+    const deadline = Date.now() + (target + 15) * 1000;
+    while (meter.sample() < target && Date.now() < deadline) await sleep(500);
+    Object.assign(entry, meterEntry(meter));
+    watched.push(entry);
+
+    if (shortIndex < shortsToWatch - 1) {
+      console.log('Moving to next short...');
+      await sleep(rand(500, 1500));
+      videoEl = await nextShort();
+      if (!videoEl) {
+        console.log('Next short did not load, stopping here');
+        break;
       }
-      
-      console.log('Finished watching shorts, returning to search');
-      return shortsToWatch * 10; // Return total estimated watch time
-      
-    } else {
-      // Handle regular videos - existing logic
-      
-    // Look for video element
-    const videoEl = await waitForSelector(["video"], 8000);
-    console.log('Found video element:', videoEl);
-    
-    // Try to play and mute
+    }
+  }
+
+  console.log(`Finished watching ${watched.length} shorts, returning to search`);
+  return watched;
+}
+
+// Opt-in engagement (see engagement.js). The background hands over what is
+// still allowed today; performed actions go to state.actions and from there
+// into session history. Regular videos only.
+const closePopups = () =>
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27, bubbles: true }));
+
+// Remaining count for an action in this session, or 0 when not allowed
+function actionsLeft(config, state, type) {
+  const allowed = config.engagement && config.engagement[type];
+  if (!allowed) return 0;
+  return allowed.left - (state.actions || []).filter((a) => a.type === type).length;
+}
+
+function recordAction(state, type, video) {
+  console.log(`Engagement: ${type} on ${video.videoId} "${video.title || ''}"`);
+  state.actions = state.actions || [];
+  state.actions.push({
+    type,
+    videoId: video.videoId,
+    url: video.url,
+    title: video.title || null,
+    channelName: video.channelName || null,
+    channelId: video.channelId || null,
+    at: Date.now()
+  });
+}
+
+// Each returns true only when the page confirms the action took effect, so
+// a signed-out player or a changed layout records nothing
+async function likeVideo() {
+  const button = findRole('likeButton', document, { visible: true });
+  if (!button || button.getAttribute('aria-pressed') === 'true') return false;
+  button.click();
+  await sleep(rand(800, 1500));
+  if (button.getAttribute('aria-pressed') === 'true') return true;
+  closePopups();
+  return false;
+}
+
+async function addToWatchLater() {
+  const button = findRole('saveButton', document, { visible: true });
+  if (!button) return false;
+  button.click();
+  await sleep(rand(1000, 2000));
+  const option = findAllRole('playlistOption').find((el) => /watch later/i.test(el.textContent));
+  let added = false;
+  if (option) {
+    const checkbox = findRole('playlistCheckbox', option) || option;
+    const isChecked = () =>
+      checkbox.getAttribute('aria-checked') === 'true' || checkbox.getAttribute('aria-pressed') === 'true' ||
+      checkbox.hasAttribute('checked');
+    // Already in Watch Later: leave it, there is nothing to record
+    if (!isChecked()) {
+      (checkbox.querySelector('button') || checkbox).click();
+      await sleep(rand(800, 1500));
+      added = isChecked();
+    }
+  }
+  closePopups();
+  return added;
+}
+
+async function subscribeToChannel() {
+  const button = findRole('subscribeButton', document, { visible: true });
+  if (!button || /subscribed/i.test(button.textContent)) return false;
+  button.click();
+  await sleep(rand(1000, 2000));
+  if (/subscribed/i.test(button.textContent)) return true;
+  closePopups();
+  return false;
+}
+
+async function openDescription() {
+  const button = findRole('descriptionExpand', document, { visible: true });
+  if (!button) return false;
+  button.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(rand(500, 1000));
+  button.click();
+  await sleep(rand(1500, 3000));
+  return true;
+}
+
+// Called during and once after watching; performs each allowed action at
+// most once per video. percent is how much of the video has played.
+async function engage(config, state, video, done, { percent, final }) {
+  const run = async (type, when, action) => {
+    if (done.has(type) || !when || actionsLeft(config, state, type) <= 0) return;
+    done.add(type);
     try {
-      videoEl.muted = true;
-      await videoEl.play();
-      console.log('Video playing');
+      if (await action()) recordAction(state, type, video);
     } catch (err) {
-      console.log('Play error (autoplay policy):', err.message);
+      console.log(`Engagement ${type} failed:`, err);
     }
-    
-    // Wait for video to load metadata
-    await new Promise((resolve) => {
-      if (videoEl.readyState >= 1) resolve();
-      else videoEl.addEventListener('loadedmetadata', resolve);
-    });
-    
-    // Determine watch strategy based on video duration
-    let duration = videoEl.duration || 0;
-    if (!isFinite(duration) || duration <= 0) duration = 60; // fallback
-    
-    let watchSeconds;
-    if (duration <= 30) {
-      // Very short videos (30s or less) - watch completely
-      watchSeconds = duration;
-      console.log(`Short video (${duration}s) - watching completely`);
-    } else if (duration <= 180) {
-      // Short videos (under 3 minutes) - watch 80-100%
-      watchSeconds = duration * rand(0.8, 1.0);
-      console.log(`Medium video (${duration}s) - watching ${watchSeconds}s`);
-    } else {
-      // Longer videos - watch 30-60% or max 5 minutes
-      watchSeconds = Math.min(duration * rand(0.3, 0.6), 300);
-      console.log(`Long video (${duration}s) - watching ${watchSeconds}s`);
+  };
+  const e = config.engagement || {};
+  await run('description', percent >= 10, openDescription);
+  await run('like', e.like && percent >= e.like.minPercent, likeVideo);
+  await run('watchLater', final, addToWatchLater);
+  const key = video.channelId || video.channelName;
+  const sightings = e.subscribe && key ? (e.subscribe.sightings[key] || 0) + 1 : 0;
+  await run('subscribe', final && e.subscribe && sightings >= e.subscribe.afterSightings, subscribeToChannel);
+}
+
+// Watch the regular video on this page
+async function watchRegularVideo(config, state) {
+  // Look for video element
+  const videoEl = await waitForRole('videoPlayer', 8000);
+  console.log('Found video element:', videoEl);
+  const meter = playbackMeter(videoEl);
+  await startPlayback(videoEl);
+  // Until a pre-roll is over the element reports the ad's duration, so the
+  // target below is set from the content itself
+  if (await getPastAds(config, state, meter)) await waitUntil(() => videoEl.readyState >= 1, 10000);
+  const entry = readVideoDetails(videoEl);
+
+  // How much to watch and what to do meanwhile, from the plan's behavior
+  // profile and the session seed (behavior.js); capped by the plan
+  const plan = planPlayback(config.behavior, videoEl.duration, config.maxWatchSeconds,
+    videoRng(config.seed, entry.videoId));
+  const watchSeconds = plan.targetSeconds;
+  console.log(`Watching ${Math.round(watchSeconds)}s as ${plan.profile} at ${plan.rate}x, ` +
+    `${plan.muted ? 'muted' : `volume ${plan.volume}`}; events: ${plan.events.map((e) => e.type).join(', ') || 'none'}`);
+  await applyPlaybackSettings(videoEl, plan);
+  const events = plan.events.slice();
+
+  // Watch until that much content has actually played. A stuck player is
+  // nudged a few times and gets a minute of slack before we give up on it;
+  // ad breaks move the deadline.
+  const startTime = Date.now();
+  let deadline = startTime + (watchSeconds + 60) * 1000;
+  let played = meter.sample();
+  let stuckSince = null;
+  let retries = 0;
+  const engaged = new Set();
+  // Of the real length; unknown (live) never reaches a like threshold
+  const percentPlayed = () =>
+    isFinite(videoEl.duration) && videoEl.duration > 0 ? (played / videoEl.duration) * 100 : 0;
+
+  while (played < watchSeconds && Date.now() < deadline) {
+    // Check if video ended
+    if (videoEl.ended) {
+      console.log('Video ended naturally');
+      await sleep(1000); // Brief pause before moving on
+      break;
     }
-    
-    // Watch with real-time monitoring
-    const startTime = Date.now();
-    const targetEndTime = startTime + (watchSeconds * 1000);
-    let lastCurrentTime = 0;
-    
-    while (Date.now() < targetEndTime) {
-      // Check if video ended
-      if (videoEl.ended) {
-        console.log('Video ended naturally');
-        await sleep(1000); // Brief pause before moving on
-        break;
-      }
-      
-      // Check if video is stuck (not progressing)
-      if (Math.abs(videoEl.currentTime - lastCurrentTime) < 0.1) {
-        console.log('Video appears stuck, continuing...');
-      }
-      lastCurrentTime = videoEl.currentTime;
-      
-      // Realistic engagement during watching
-      const elapsed = (Date.now() - startTime) / 1000;
-      const progress = elapsed / watchSeconds;
-      
-      if (progress > 0.25 && progress < 0.3) {
-        window.scrollTo({ top: 200, behavior: 'smooth' });
-      } else if (progress > 0.5 && progress < 0.55) {
-        window.scrollTo({ top: 400, behavior: 'smooth' });
-      } else if (progress > 0.75 && progress < 0.8) {
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+
+    // Profile events fire once their share of the target has played;
+    // deliberate pauses move the deadline
+    while (events.length && played >= events[0].at * watchSeconds) {
+      const eventStart = Date.now();
+      await playbackEvent(videoEl, events.shift(), meter);
+      deadline += Date.now() - eventStart;
+      played = meter.sample();
+      stuckSince = null;
+    }
+
+    // Mid-roll ads pause the watch; the meter counts them apart
+    if (adShowing()) {
+      const adStart = Date.now();
+      await getPastAds(config, state, meter);
+      deadline += Date.now() - adStart;
+      stuckSince = null;
+    }
+
+    // Check every second
+    await sleep(1000);
+    const next = meter.sample();
+    if (next - played < 0.1 && !adShowing()) {
+      stuckSince = stuckSince || Date.now();
+      if (Date.now() - stuckSince >= STALL_RETRY_SECONDS * 1000) {
+        if (retries >= MAX_PLAY_RETRIES) {
+          console.log('Video still stuck after retries, moving on');
+          break;
+        }
+        retries++;
+        console.log(`Video appears stuck, retrying play (${retries}/${MAX_PLAY_RETRIES})`);
+        await retryPlay(videoEl, plan);
+        stuckSince = Date.now();
       }
-      
-      // Check every second
-      await sleep(1000);
+    } else {
+      stuckSince = null;
+    }
+    played = next;
+    if (config.engagement)
+      await engage(config, state, entry, engaged, { percent: percentPlayed(), final: false });
+  }
+
+  Object.assign(entry, meterEntry(meter));
+  if (config.engagement) {
+    played = entry.playedSeconds;
+    await engage(config, state, entry, engaged, { percent: percentPlayed(), final: true });
+  }
+  if (!entry.durationSeconds && isFinite(videoEl.duration) && videoEl.duration > 0) {
+    entry.durationSeconds = Math.round(videoEl.duration);
+  }
+  console.log(`Finished watching. Planned: ${watchSeconds}s, Played: ${entry.playedSeconds}s, Ads: ${entry.adSeconds}s, Stalled: ${entry.stallSeconds}s, Elapsed: ${(Date.now() - startTime) / 1000}s`);
+  return [entry];
+}
+
+// How many more Shorts the plan's Shorts policy lets this session watch,
+// with the reason when none
+function shortsAllowance(config, state) {
+  const shorts = normalizeShortsPolicy(config.shorts);
+  if (shorts.policy === 'avoid') return { left: 0, reason: 'Shorts avoided by plan' };
+  const left = shorts.maxPerSession - (state.shortsWatched || 0);
+  return left > 0 ? { left, reason: null } : { left: 0, reason: 'Shorts cap reached' };
+}
+
+// Watch whatever is on the current video page. Returns one entry per video
+// actually shown: { videoId, url, title, channelName, channelId,
+// durationSeconds, playedSeconds, isShort }
+async function watchCurrentVideo(config, state) {
+  console.log('Loading video page...');
+  const isShorts = window.location.href.includes('/shorts/');
+  console.log('Video type:', isShorts ? 'Shorts' : 'Regular Video');
+  try {
+    if (!isShorts) return await watchRegularVideo(config, state);
+    const allowance = shortsAllowance(config, state);
+    if (!allowance.left) {
+      recordSkip(state, readVideoDetails(null), allowance.reason);
+      return [];
     }
-    
-    const actualWatchTime = Math.min((Date.now() - startTime) / 1000, duration);
-    console.log(`Finished watching. Planned: ${watchSeconds}s, Actual: ${actualWatchTime}s`);
-    
-    return actualWatchTime;
-    } // End of else block for regular videos
-    
+    const entries = await watchShorts(config, allowance.left);
+    state.shortsWatched = (state.shortsWatched || 0) + entries.length;
+    return entries;
   } catch (videoError) {
-    console.log('Video element not found, but staying on page...');
+    // Only a page without a player is a skip; anything else is reported by
+    // the caller
+    if (!/^Selector timeout: videoPlayer\b/.test(videoError.message)) throw videoError;
+    console.log('Video element not found:', videoError.message);
+    recordSkip(state, readVideoDetails(null), 'no video player');
     await sleep(rand(5000, 10000)); // Shorter wait if no video
-    return 8;
+    return [];
+  }
+}
+
+// Negative training (see negative.js): walk the home feed and use each
+// matching item's menu to send "Not interested" or "Don't recommend
+// channel". A dry run only reports the matches.
+const NEGATIVE_MENU_TEXT = {
+  notInterested: /not interested/i,
+  dontRecommend: /don.t recommend channel/i
+};
+// Feed scrolls before giving up on finding more matches
+const FEED_SCROLLS = 4;
+
+// Open the item's menu and pick the entry for type; true once the feed
+// shows the item as dismissed
+async function dismissFeedItem(renderer, type) {
+  const menuButton = findRole('feedMenuButton', renderer);
+  if (!menuButton) return false;
+  renderer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(rand(600, 1200));
+  menuButton.click();
+  await sleep(rand(800, 1500));
+  const entry = findAllRole('menuItem').find(
+    (el) => isVisible(el) && NEGATIVE_MENU_TEXT[type].test(el.textContent)
+  );
+  if (!entry) {
+    closePopups();
+    return false;
   }
+  entry.click();
+  await sleep(rand(1000, 2000));
+  // The item is swapped for a "… removed / Undo" notice
+  return !renderer.isConnected || /undo/i.test(renderer.textContent) || !isVisible(renderer);
+}
+
+async function runNegativeSession({ config }, saved = null) {
+  const allowance = config.negative;
+  const state = saved || { actions: [], seen: [], pageLoads: 0 };
+  const dryRun = !allowance || allowance.dryRun;
+  useSelectors(config.selectors, state);
+  try {
+    if (!allowance) throw new Error('Negative training has nothing to do (no rules or daily cap reached)');
+    console.log(`Negative training${dryRun ? ' (dry run)' : ''}, up to ${allowance.left} items`);
+    await handleInterstitials(config, state);
+    if (window.location.pathname !== '/') await navigateAndResume(state, 'https://www.youtube.com/');
+    await waitForRole('feedItem', 15000);
+    reportProgress('feed-loaded');
+
+    const seen = new Set(state.seen);
+    for (let scroll = 0; scroll <= FEED_SCROLLS && state.actions.length < allowance.left; scroll++) {
+      for (const renderer of findAllRole('feedItem')) {
+        if (state.actions.length >= allowance.left) break;
+        const link = findRole('resultLink', renderer);
+        if (!link || !isVisible(renderer)) continue;
+        const item = readResultCandidate(renderer, link);
+        if (!item.videoId || item.sponsored || seen.has(item.videoId)) continue;
+        seen.add(item.videoId);
+        const action = negativeActionFor(item, allowance.rules);
+        if (!action) continue;
+        console.log(`Negative training: ${action.type} for "${item.title}" (${item.channelName || 'unknown channel'}), matched ${action.reason}`);
+        const done = dryRun ? false : await dismissFeedItem(renderer, action.type);
+        if (!dryRun && !done) {
+          console.log('Could not dismiss feed item, skipping');
+          continue;
+        }
+        state.actions.push({
+          type: action.type,
+          videoId: item.videoId,
+          url: item.url,
+          title: item.title || null,
+          channelName: item.channelName || null,
+          channelId: item.channelId || null,
+          reason: action.reason,
+          dryRun,
+          at: Date.now()
+        });
+        reportProgress(`negative-${state.actions.length}`);
+        await sleep(rand(1500, 3000));
+      }
+      state.seen = [...seen];
+      await saveSessionState(state);
+      window.scrollBy({ top: window.innerHeight * 2, behavior: 'smooth' });
+      await sleep(rand(2000, 3500));
+    }
+
+    return { success: true, dryRun, actions: state.actions, interstitials: state.interstitials || [], selectorHits: state.selectorHits, pageLoads: state.pageLoads };
+  } catch (err) {
+    console.error('Negative training error:', err);
+    return {
+      success: false,
+      error: String(err),
+      errorCategory: err.category || null,
+      dryRun,
+      actions: state.actions,
+      interstitials: state.interstitials || [],
+      selectorHits: state.selectorHits
+    };
+  }
+}
+
+// Diagnostics (diagnose.html): the session steps one at a time, without
+// watching anything. The diagnose page runs each step through
+// diagnoseStep() and reloads this script itself after full page loads.
+// Where on the page to look when a step fails, for the DOM snippet
+const DIAGNOSTIC_CONTEXT = {
+  'search-input': 'ytd-masthead, #masthead, header',
+  'search-button': 'ytd-masthead, #masthead, header',
+  'submit-query': 'ytd-masthead, #masthead, header',
+  'parse-results': 'ytd-search, #page-manager',
+  'open-video': 'ytd-search, #page-manager',
+  'video-element': '#player, ytd-player, #movie_player, ytd-watch-flexy',
+  'video-metadata': 'ytd-watch-metadata, #below, ytd-watch-flexy'
+};
+const DIAGNOSTIC_SNIPPET_CHARS = 4000;
+
+// Each check returns { pass, detail } or throws
+const DIAGNOSTIC_CHECKS = {
+  async 'search-input'() {
+    const input = await waitForRole('searchInput', 10000);
+    return { pass: true, detail: `<${input.tagName.toLowerCase()}> found` };
+  },
+  async 'search-button'() {
+    await waitForRole('searchInput', 10000);
+    const button = findSearchButton();
+    return button
+      ? { pass: true, detail: `<${button.tagName.toLowerCase()}> found` }
+      : { pass: false, detail: 'No search button; sessions fall back to the Enter key' };
+  },
+  async 'submit-query'(query) {
+    const input = await waitForRole('searchInput', 10000);
+    input.focus();
+    input.value = query;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    const button = findSearchButton();
+    if (button) button.click();
+    else input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    const arrived = await waitUntil(() => window.location.href.includes('/results'), 10000);
+    return arrived
+      ? { pass: true, detail: `Submitted with ${button ? 'the search button' : 'Enter'}` }
+      : { pass: false, detail: 'The results page did not open' };
+  },
+  async 'parse-results'() {
+    await waitForRole('resultItem', 10000);
+    const candidates = extractResultCandidates();
+    const count = (test) => candidates.filter(test).length;
+    const usable = count((c) => c.videoId && c.title && !c.sponsored);
+    return {
+      pass: usable > 0,
+      detail: `${candidates.length} results, ${usable} usable: ` +
+        `${count((c) => c.channelName)} with channel, ` +
+        `${count((c) => c.durationSeconds !== null)} with duration, ` +
+        `${count((c) => c.isShort)} Shorts, ${count((c) => c.sponsored)} ads, ` +
+        `${count((c) => c.live)} live`
+    };
+  },
+  async 'open-video'() {
+    const pick = extractResultCandidates().find(
+      (c) => c.videoId && !c.sponsored && !c.isShort && !c.live
+    );
+    if (!pick) return { pass: false, detail: 'No regular video among the results' };
+    const link = [...document.querySelectorAll('a[href]')].find(
+      (a) => videoIdFromUrl(a.href) === pick.videoId && isVisible(a)
+    );
+    if (!link) return { pass: false, detail: `No visible link to ${pick.videoId}` };
+    link.click();
+    const arrived = await waitUntil(() => videoIdFromUrl(window.location.href) === pick.videoId, 10000);
+    return arrived
+      ? { pass: true, detail: `Opened "${pick.title}"` }
+      : { pass: false, detail: `Clicking ${pick.videoId} did not open the watch page` };
+  },
+  async 'video-element'() {
+    const videoEl = await waitForRole('videoPlayer', 10000);
+    await waitUntil(() => videoEl.readyState >= 1, 10000);
+    // Nothing is watched during diagnostics
+    videoEl.pause();
+    return {
+      pass: videoEl.readyState >= 1,
+      detail: `readyState ${videoEl.readyState}, ` +
+        (isFinite(videoEl.duration) ? `duration ${Math.round(videoEl.duration)}s` : 'no duration')
+    };
+  },
+  async 'video-metadata'() {
+    const video = readVideoDetails(findRole('videoPlayer'));
+    const titled = Boolean(textOf('watchTitle'));
+    return {
+      pass: titled && Boolean(video.channelName),
+      detail: `Title: ${titled ? `"${video.title}"` : 'not found'}, ` +
+        `channel: ${video.channelName || 'not found'}` +
+        (video.channelId ? ` (${video.channelId})` : '')
+    };
+  }
+};
+
+// Markup around a failed step, scripts, styles and icons removed
+function domSnippet(step) {
+  const root = document.querySelector(DIAGNOSTIC_CONTEXT[step]) || document.body;
+  if (!root) return null;
+  const copy = root.cloneNode(true);
+  copy.querySelectorAll('script, style, svg, img, iframe').forEach((el) => el.remove());
+  return copy.outerHTML.replace(/\s+/g, ' ').slice(0, DIAGNOSTIC_SNIPPET_CHARS);
+}
+
+// Run one diagnostic step: whether it passed, the selector each role
+// matched with, the roles that matched nothing and, on failure, a snippet
+async function diagnoseStep(step, { query, selectors }) {
+  const state = {};
+  useSelectors(selectors, state);
+  let outcome;
+  try {
+    outcome = await DIAGNOSTIC_CHECKS[step](query);
+  } catch (err) {
+    outcome = { pass: false, detail: String(err.message || err) };
+  }
+  const matched = {};
+  const missed = [];
+  for (const [role, h] of Object.entries(state.selectorHits)) {
+    const best = Object.entries(h.hits).sort((a, b) => b[1] - a[1])[0];
+    if (best) matched[role] = best[0];
+    else missed.push(role);
+  }
+  return {
+    ...outcome,
+    matched,
+    missed,
+    url: window.location.href,
+    snippet: outcome.pass ? null : domSnippet(step)
+  };
 }
 
 // Listen for messages to start a session
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   console.log('Content script received message:', msg);
   
-  if (msg.action === "startSession") {
-    // Run and report back
+  // Lets the background check whether this script survived a navigation
+  if (msg.action === "ping") {
+    sendResponse({ alive: true });
+    return;
+  }
+
+  if (msg.action === "startSession" || msg.action === "resumeSession") {
+    // Acknowledge now; the result is reported with a sessionResult message
+    sendResponse({ status: "started" });
     (async () => {
       console.log('Starting session with params:', msg.params);
       
@@ -388,14 +1363,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
       
       console.log('Page ready, starting session...');
-      const result = await runSession(msg.params);
+      reportProgress("page-ready");
+      const result = msg.params.type === 'negative'
+        ? await runNegativeSession(msg.params, msg.state || null)
+        : await runSession(msg.params, msg.state || null);
       console.log('Session result:', result);
       
       chrome.runtime.sendMessage({ type: "sessionResult", result });
-      sendResponse({ status: "done" });
     })();
-    // Keep the message channel open
-    return true;
   }
 });
 
@@ -0,0 +1,524 @@
+// Dashboard page: session history for a run and/or date range, broken down
+// per day, keyword and channel, plus the planned schedule against what ran.
+// Reads the IndexedDB history and run archive from history.js.
+
+const $ = (id) => document.getElementById(id);
+
+const escapeHtml = (str) =>
+  String(str).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+// Current run first, then archived runs, newest first
+let runs = [];
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Local calendar day, e.g. "2025-03-30"
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${pad2(s % 60)}s`;
+  return `${Math.floor(m / 60)}h ${pad2(m % 60)}m`;
+}
+
+function runLabel(run) {
+  const started = new Date(run.startTs).toLocaleDateString();
+  const name = run.planName || (run.plan && run.plan.name) || run.id;
+  return `${name} · ${started}${run.current ? " (current)" : ""}`;
+}
+
+async function loadRuns() {
+  const [{ currentRun }, archive] = await Promise.all([
+    new Promise((r) => chrome.storage.local.get(["currentRun"], r)),
+    getRunArchive(),
+  ]);
+  runs = [];
+  if (currentRun) runs.push({ ...currentRun, current: true });
+  runs.push(...archive.filter((r) => !currentRun || r.id !== currentRun.id));
+
+  const select = $("runSelect");
+  select.innerHTML = "";
+  select.appendChild(new Option("All runs", ""));
+  for (const run of runs) select.appendChild(new Option(runLabel(run), run.id));
+  // ?run=<id> preselects a run; otherwise the current one
+  const wanted = new URLSearchParams(location.search).get("run");
+  const initial =
+    runs.find((r) => r.id === wanted) || runs.find((r) => r.current);
+  select.value = initial ? initial.id : "";
+}
+
+// Date inputs are local days; "to" includes the whole day
+function readFilters() {
+  const from = $("fromDate").value;
+  const to = $("toDate").value;
+  return {
+    runId: $("runSelect").value || null,
+    from: from ? new Date(`${from}T00:00`).getTime() : 0,
+    to: to
+      ? new Date(`${to}T00:00`).getTime() + 24 * 60 * 60 * 1000 - 1
+      : Infinity,
+  };
+}
+
+function addTo(map, key, fields) {
+  const entry = map.get(key) || {};
+  for (const [k, v] of Object.entries(fields)) entry[k] = (entry[k] || 0) + v;
+  map.set(key, entry);
+}
+
+function summarize(records) {
+  const totals = {
+    success: 0,
+    failure: 0,
+    timeout: 0,
+    missed: 0,
+    watchSeconds: 0,
+    adSeconds: 0,
+    stallSeconds: 0,
+  };
+  const byDay = new Map();
+  const byKeyword = new Map();
+  const byChannel = new Map();
+  const byError = new Map();
+  const split = { shorts: 0, long: 0 };
+
+  for (const r of records) {
+    totals[r.outcome] = (totals[r.outcome] || 0) + 1;
+    totals.watchSeconds += r.watchSeconds;
+    // Older records have neither
+    totals.adSeconds += r.adSeconds || 0;
+    totals.stallSeconds += r.stallSeconds || 0;
+    const failed = r.outcome === "failure" || r.outcome === "timeout";
+    addTo(byDay, dayKey(r.startedAt), {
+      watchSeconds: r.watchSeconds,
+      success: r.outcome === "success" ? 1 : 0,
+      failed: failed ? 1 : 0,
+      missed: r.outcome === "missed" ? 1 : 0,
+    });
+    if (r.outcome === "missed") continue;
+    if (failed) addTo(byError, r.errorCategory || "unknown", { count: 1 });
+    const label = r.type === "negative" ? "(negative training)" : "(none)";
+    addTo(byKeyword, r.keyword || label, {
+      watchSeconds: r.watchSeconds,
+      sessions: 1,
+    });
+    for (const v of r.videos) {
+      const channel = v.channelName || v.channelId || "(unknown channel)";
+      addTo(byChannel, channel, { watchSeconds: v.playedSeconds, videos: 1 });
+      split[v.isShort ? "shorts" : "long"] += v.playedSeconds;
+    }
+  }
+  return { totals, byDay, byKeyword, byChannel, byError, split };
+}
+
+function renderTotals({ totals, byError }) {
+  const ran = totals.success + totals.failure + totals.timeout;
+  const rate = ran ? Math.round((totals.success / ran) * 100) : 0;
+  const errors = [...byError.entries()]
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([cat, e]) => `${escapeHtml(cat)} ${e.count}`)
+    .join(" · ");
+  const cards = [
+    ["Sessions run", ran, `${totals.missed} missed`],
+    [
+      "Success rate",
+      `${rate}%`,
+      `${totals.success} ok · ${totals.failure} failed · ${totals.timeout} timed out`,
+    ],
+    [
+      "Watch time",
+      formatDuration(totals.watchSeconds),
+      `plus ${formatDuration(totals.adSeconds)} ads · ${formatDuration(
+        totals.stallSeconds
+      )} stalled`,
+    ],
+    ["Failures", totals.failure + totals.timeout, errors || "none"],
+  ];
+  $("totals").innerHTML = cards
+    .map(
+      ([label, value, sub]) =>
+        `<div class="card"><div class="label">${label}</div><div class="value">${value}</div><div class="sub">${sub}</div></div>`
+    )
+    .join("");
+}
+
+// Horizontal bars; rows are [label, value, caption]
+function renderBars(id, rows, emptyText) {
+  if (!rows.length) {
+    $(id).innerHTML = `<div class="empty">${emptyText}</div>`;
+    return;
+  }
+  const max = Math.max(...rows.map((r) => r[1]), 1);
+  $(id).innerHTML = rows
+    .map(
+      ([label, value, caption]) => `<div class="bar-row">
+        <div class="bar-label" title="${escapeHtml(label)}">${escapeHtml(label)}</div>
+        <div class="bar-track"><div class="bar" style="width:${(value / max) * 100}%"></div></div>
+        <div class="bar-caption">${caption}</div>
+      </div>`
+    )
+    .join("");
+}
+
+function renderBreakdowns({ byDay, byKeyword, byChannel, split }) {
+  renderBars(
+    "perDay",
+    [...byDay.entries()]
+      .sort((a, b) => (a[0] < b[0] ? -1 : 1))
+      .map(([day, d]) => [
+        day,
+        d.watchSeconds,
+        `${formatDuration(d.watchSeconds)} · ${d.success || 0}✓ ${d.failed || 0}✗${d.missed ? ` ${d.missed} missed` : ""}`,
+      ]),
+    "No sessions in this range."
+  );
+  const top = (map, unit) =>
+    [...map.entries()]
+      .sort((a, b) => b[1].watchSeconds - a[1].watchSeconds)
+      .slice(0, 15)
+      .map(([key, e]) => [
+        key,
+        e.watchSeconds,
+        `${formatDuration(e.watchSeconds)} · ${e[unit]} ${unit}`,
+      ]);
+  renderBars("perKeyword", top(byKeyword, "sessions"), "No keywords yet.");
+  renderBars("perChannel", top(byChannel, "videos"), "No videos recorded.");
+
+  const total = split.shorts + split.long;
+  const shortsPct = total ? Math.round((split.shorts / total) * 100) : 0;
+  $("shortsSplit").innerHTML = total
+    ? `<div class="split"><div class="split-shorts" style="width:${shortsPct}%"></div></div>
+       <div class="sub">Shorts ${formatDuration(split.shorts)} (${shortsPct}%) · Long-form ${formatDuration(split.long)} (${100 - shortsPct}%)</div>`
+    : `<div class="empty">No videos recorded.</div>`;
+}
+
+// One row per day: planned sessions as hollow ticks, sessions that ran as
+// dots coloured by outcome, both placed by local time of day
+function renderTimeline(run, records, { from, to }) {
+  if (!run || !run.schedule || !run.schedule.length) {
+    $("timeline").innerHTML =
+      `<div class="empty">Select a scheduled run to compare it with its plan.</div>`;
+    $("timelineSummary").textContent = "";
+    return;
+  }
+  const planned = run.schedule.filter((ts) => ts >= from && ts <= to);
+  const ranScheduled = new Set(
+    records
+      .filter((r) => r.scheduledTs && r.outcome !== "missed")
+      .map((r) => r.scheduledTs)
+  );
+  const missed = records.filter((r) => r.outcome === "missed").length;
+  const pending = planned.filter((ts) => ts > Date.now()).length;
+  $("timelineSummary").textContent =
+    `${planned.filter((ts) => ranScheduled.has(ts)).length} of ${planned.length} planned sessions ran` +
+    ` · ${missed} missed · ${pending} still to come`;
+
+  const days = new Map();
+  const put = (ts, html) => {
+    const key = dayKey(ts);
+    if (!days.has(key)) days.set(key, []);
+    const d = new Date(ts);
+    const pct = ((d.getHours() * 60 + d.getMinutes()) / (24 * 60)) * 100;
+    days.get(key).push(html.replace("%POS%", `left:${pct}%`));
+  };
+  for (const ts of planned) {
+    put(
+      ts,
+      `<span class="tick planned" style="%POS%" title="Planned ${new Date(ts).toLocaleString()}"></span>`
+    );
+  }
+  for (const r of records) {
+    if (r.outcome === "missed") continue;
+    const title = `${new Date(r.startedAt).toLocaleString()} · ${r.outcome} · ${r.query || r.keyword || ""} · ${formatDuration(r.watchSeconds)}`;
+    put(
+      r.startedAt,
+      `<span class="tick ${r.outcome}" style="%POS%" title="${escapeHtml(title)}"></span>`
+    );
+  }
+  $("timeline").innerHTML = [...days.entries()]
+    .sort((a, b) => (a[0] < b[0] ? -1 : 1))
+    .map(
+      ([day, ticks]) =>
+        `<div class="tl-row"><div class="tl-day">${day}</div><div class="tl-track">${ticks.join("")}</div></div>`
+    )
+    .join("");
+}
+
+async function refresh() {
+  const filters = readFilters();
+  let records = [];
+  try {
+    records = await querySessions({ ...filters, oldestFirst: true });
+  } catch (e) {
+    $("status").textContent = "Could not read history: " + e.message;
+    return;
+  }
+  const run = runs.find((r) => r.id === filters.runId);
+  $("status").textContent =
+    `${records.length} records${run ? ` for ${runLabel(run)}` : ""}`;
+  const summary = summarize(records);
+  renderTotals(summary);
+  renderBreakdowns(summary);
+  renderTimeline(run, records, filters);
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Bundle picked for import, validated but not applied yet
+let pendingImport = null;
+
+const importOptions = () => ({
+  includeApiKey: $("importApiKey").checked,
+});
+
+function describeCounts(label, c) {
+  return `${label}: ${c.added} new, ${c.updated} updated${
+    c.removed ? `, ${c.removed} removed` : ""
+  }`;
+}
+
+async function showImportPreview() {
+  const el = $("importPreview");
+  if (!pendingImport) return;
+  const mode = $("importMode").value;
+  const p = await previewImport(pendingImport, mode, importOptions());
+  $("importApiKeyLabel").hidden = !p.hasApiKey;
+  el.classList.remove("error");
+  el.textContent = [
+    `Bundle exported ${pendingImport.exportedAt || "at an unknown time"}.`,
+    describeCounts("Plans", p.plans),
+    describeCounts("Archived runs", p.runArchive),
+    describeCounts("History records", p.history),
+    `Settings changed: ${p.settings.length ? p.settings.join(", ") : "none"}`,
+    mode === "replace"
+      ? "Replace removes stored plans, archived runs and history not in the bundle."
+      : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+  $("applyImportBtn").disabled = false;
+}
+
+$("exportJsonBtn").addEventListener("click", async () => {
+  const bundle = await buildBundle({
+    includeApiKey: $("exportApiKey").checked,
+  });
+  download(
+    `yt-rewire-${dayKey(Date.now())}.json`,
+    "application/json",
+    JSON.stringify(bundle, null, 2)
+  );
+});
+
+$("exportCsvBtn").addEventListener("click", async () => {
+  const records = await querySessions({ ...readFilters(), oldestFirst: true });
+  download(
+    `yt-rewire-history-${dayKey(Date.now())}.csv`,
+    "text/csv",
+    historyToCsv(records)
+  );
+});
+
+$("importFile").addEventListener("change", async () => {
+  const file = $("importFile").files[0];
+  pendingImport = null;
+  $("applyImportBtn").disabled = true;
+  $("importApiKeyLabel").hidden = true;
+  $("importApiKey").checked = false;
+  if (!file) return;
+  const { bundle, errors } = validateBundle(await file.text());
+  if (errors.length) {
+    $("importPreview").classList.add("error");
+    $("importPreview").textContent = errors.slice(0, 20).join("\n");
+    return;
+  }
+  pendingImport = bundle;
+  showImportPreview();
+});
+
+$("importMode").addEventListener("change", showImportPreview);
+$("importApiKey").addEventListener("change", showImportPreview);
+
+$("applyImportBtn").addEventListener("click", async () => {
+  if (!pendingImport) return;
+  const mode = $("importMode").value;
+  if (
+    mode === "replace" &&
+    !confirm("Replace your plans, archived runs and history with this bundle?")
+  )
+    return;
+  $("applyImportBtn").disabled = true;
+  try {
+    await applyImport(pendingImport, mode, importOptions());
+    $("importPreview").textContent = "Import complete.";
+  } catch (e) {
+    $("importPreview").classList.add("error");
+    $("importPreview").textContent = "Import failed: " + e.message;
+    return;
+  }
+  pendingImport = null;
+  $("importFile").value = "";
+  await loadRuns();
+  refresh();
+});
+
+// Selector registry (selectors.js): where it comes from and, per role, how
+// often each selector matched in sessions so far
+async function renderSelectors() {
+  const s = await new Promise((r) =>
+    chrome.storage.local.get(
+      [
+        "selectorRegistry",
+        "selectorRegistryUrl",
+        "selectorRegistryFetchedAt",
+        "selectorStats",
+      ],
+      r
+    )
+  );
+  const registry = mergeSelectorRegistry(s.selectorRegistry);
+  $("selectorUrl").value = s.selectorRegistryUrl || "";
+  $("selectorSource").textContent = s.selectorRegistry
+    ? `Revision ${registry.revision} (schema ${registry.schemaVersion})${
+        s.selectorRegistryUrl
+          ? `, from ${s.selectorRegistryUrl}, fetched ${new Date(
+              s.selectorRegistryFetchedAt
+            ).toLocaleString()}`
+          : ", loaded from a file"
+      }`
+    : `Built-in registry (schema ${SELECTOR_SCHEMA_VERSION})`;
+  const stats = (s.selectorStats && s.selectorStats.roles) || {};
+  $("selectorHealth").innerHTML = SELECTOR_ROLES.map((role) => {
+    const st = stats[role] || { selectors: {}, misses: 0 };
+    const rows = registry.roles[role]
+      .map((sel) => {
+        const h = (st.selectors && st.selectors[sel]) || { hits: 0 };
+        const last = h.lastHit
+          ? `, last ${new Date(h.lastHit).toLocaleDateString()}`
+          : "";
+        return `<div class="${h.hits ? "" : "sel-unused"}"><code>${escapeHtml(
+          sel
+        )}</code> — ${h.hits} hit${h.hits === 1 ? "" : "s"}${last}</div>`;
+      })
+      .join("");
+    const misses = st.misses
+      ? `<div class="sel-misses">${st.misses} lookup${
+          st.misses === 1 ? "" : "s"
+        } matched nothing</div>`
+      : "";
+    const invalid = (st.invalid || [])
+      .map(
+        (sel) =>
+          `<div class="sel-misses"><code>${escapeHtml(
+            sel
+          )}</code> does not parse and was skipped</div>`
+      )
+      .join("");
+    return `<div class="sel-role"><div>${role}</div><div>${rows}${misses}${invalid}</div></div>`;
+  }).join("");
+}
+
+function showSelectorStatus(text, isError = false) {
+  $("selectorStatus").classList.toggle("error", isError);
+  $("selectorStatus").textContent = text;
+}
+
+async function storeSelectorRegistry(registry, url) {
+  await new Promise((r) =>
+    chrome.storage.local.set(
+      {
+        selectorRegistry: registry,
+        selectorRegistryUrl: url,
+        selectorRegistryFetchedAt: url ? Date.now() : null,
+      },
+      r
+    )
+  );
+  await renderSelectors();
+}
+
+$("fetchSelectorsBtn").addEventListener("click", async () => {
+  const url = $("selectorUrl").value.trim();
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch (e) {
+    return showSelectorStatus("Enter a valid http(s) URL.", true);
+  }
+  // The background refetches it daily, so it needs the origin too
+  const granted = await chrome.permissions.request({
+    origins: [`${origin}/*`],
+  });
+  if (!granted)
+    return showSelectorStatus("Access to that site was not granted.", true);
+  try {
+    const registry = await fetchSelectorRegistry(url);
+    await storeSelectorRegistry(registry, url);
+    showSelectorStatus(`Loaded revision ${registry.revision}.`);
+  } catch (e) {
+    showSelectorStatus(e.message, true);
+  }
+});
+
+$("selectorFile").addEventListener("change", async () => {
+  const file = $("selectorFile").files[0];
+  if (!file) return;
+  let registry;
+  try {
+    registry = JSON.parse(await file.text());
+  } catch (e) {
+    return showSelectorStatus("That file is not valid JSON.", true);
+  }
+  const errors = validateSelectorRegistry(registry);
+  $("selectorFile").value = "";
+  if (errors.length) return showSelectorStatus(errors.join("\n"), true);
+  // A file replaces any URL so the daily refresh doesn't overwrite it
+  await storeSelectorRegistry(registry, null);
+  showSelectorStatus(`Loaded revision ${registry.revision}.`);
+});
+
+$("resetSelectorsBtn").addEventListener("click", async () => {
+  await storeSelectorRegistry(null, null);
+  showSelectorStatus("Using the built-in registry.");
+});
+
+$("resetSelectorStatsBtn").addEventListener("click", async () => {
+  await new Promise((r) => chrome.storage.local.remove("selectorStats", r));
+  await renderSelectors();
+});
+
+for (const id of ["runSelect", "fromDate", "toDate"]) {
+  $(id).addEventListener("change", refresh);
+}
+$("refreshBtn").addEventListener("click", async () => {
+  const selected = $("runSelect").value;
+  await loadRuns();
+  if (runs.some((r) => r.id === selected)) $("runSelect").value = selected;
+  refresh();
+});
+$("clearDatesBtn").addEventListener("click", () => {
+  $("fromDate").value = "";
+  $("toDate").value = "";
+  refresh();
+});
+
+loadRuns().then(refresh);
+renderSelectors();
@@ -0,0 +1,240 @@
+// Diagnose page: walks a YouTube tab through the session steps without
+// watching (search box, search, results, opening a video, the video element)
+// and reports per step whether it worked, which selector of each role
+// matched, how long it took and, for failures, the markup around it. The
+// steps themselves run in the content script (diagnoseStep in content.js).
+
+const $ = (id) => document.getElementById(id);
+
+const escapeHtml = (str) =>
+  String(str).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+const DIAGNOSTIC_FORMAT = "ytboost-diagnostics";
+const DIAGNOSTIC_VERSION = 1;
+const DIAGNOSTIC_QUERY = "relaxing music";
+const TAB_LOAD_TIMEOUT_MS = 30 * 1000;
+
+// expectUrl: a full page load may replace the content script mid-step; the
+// step still passes if the tab ends up there. required: later steps need it.
+const DIAGNOSTIC_STEPS = [
+  { id: "search-input", label: "Find the search box", required: true },
+  { id: "search-button", label: "Find the search button" },
+  {
+    id: "submit-query",
+    label: "Submit a search",
+    expectUrl: /\/results\?/,
+    required: true,
+  },
+  { id: "parse-results", label: "Parse search results", required: true },
+  {
+    id: "open-video",
+    label: "Open a video",
+    expectUrl: /\/watch\?/,
+    required: true,
+  },
+  { id: "video-element", label: "Find the video element", required: true },
+  { id: "video-metadata", label: "Read title and channel" },
+];
+
+let report = null;
+let running = false;
+
+// Resolves once the tab has finished loading, or after the timeout
+function tabComplete(tabId, timeout = TAB_LOAD_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    const listener = (id, info) => {
+      if (id === tabId && info.status === "complete") done();
+    };
+    const timer = setTimeout(done, timeout);
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs
+      .get(tabId)
+      .then((tab) => tab.status === "complete" && done(), done);
+  });
+}
+
+function injectContentScript(tabId) {
+  return new Promise((resolve, reject) =>
+    chrome.runtime.sendMessage(
+      { action: "injectContentScript", tabId },
+      (res) =>
+        res && res.ok
+          ? resolve()
+          : reject(new Error((res && res.error) || "Injection failed"))
+    )
+  );
+}
+
+async function runStep(tabId, step, params) {
+  const start = performance.now();
+  let outcome;
+  try {
+    await tabComplete(tabId);
+    await injectContentScript(tabId);
+    const [frame] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (id, p) => diagnoseStep(id, p),
+      args: [step.id, params],
+    });
+    if (!frame || !frame.result)
+      throw new Error("The page was replaced during the step");
+    outcome = frame.result;
+  } catch (err) {
+    // The page navigated away under the step; judge it by where it went
+    await tabComplete(tabId);
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    const arrived = tab && step.expectUrl && step.expectUrl.test(tab.url);
+    outcome = {
+      pass: Boolean(arrived),
+      detail: arrived
+        ? "Completed with a full page load"
+        : `Step failed: ${err.message}`,
+      matched: {},
+      missed: [],
+      url: tab ? tab.url : null,
+      snippet: null,
+    };
+  }
+  return {
+    id: step.id,
+    label: step.label,
+    status: outcome.pass ? "pass" : "fail",
+    ms: Math.round(performance.now() - start),
+    ...outcome,
+  };
+}
+
+async function runDiagnostics() {
+  if (running) return;
+  running = true;
+  $("runBtn").disabled = true;
+  $("exportBtn").disabled = true;
+  const { selectorRegistry } = await new Promise((r) =>
+    chrome.storage.local.get(["selectorRegistry"], r)
+  );
+  const selectors = mergeSelectorRegistry(selectorRegistry);
+  const params = {
+    query: $("query").value.trim() || DIAGNOSTIC_QUERY,
+    selectors,
+  };
+  report = {
+    format: DIAGNOSTIC_FORMAT,
+    version: DIAGNOSTIC_VERSION,
+    startedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    registryRevision: selectors.revision,
+    query: params.query,
+    steps: [],
+  };
+  renderReport();
+
+  const self = await chrome.tabs.getCurrent();
+  // The YouTube tab is shown while the steps run: background tabs are
+  // throttled and YouTube renders lazily
+  const tab = await chrome.tabs.create({
+    url: "https://www.youtube.com/",
+    active: true,
+  });
+  let failed = null;
+  try {
+    for (const step of DIAGNOSTIC_STEPS) {
+      if (failed) {
+        report.steps.push({
+          id: step.id,
+          label: step.label,
+          status: "skipped",
+          detail: `Needs "${failed.label}"`,
+        });
+        continue;
+      }
+      $("status").textContent = `Running: ${step.label}…`;
+      const result = await runStep(tab.id, step, params);
+      report.steps.push(result);
+      if (result.status === "fail" && step.required) failed = step;
+      renderReport();
+    }
+  } finally {
+    report.finishedAt = new Date().toISOString();
+    report.passed = report.steps.every((s) => s.status === "pass");
+    if (!$("keepTab").checked) chrome.tabs.remove(tab.id).catch(() => {});
+    if (self) chrome.tabs.update(self.id, { active: true });
+    running = false;
+    $("runBtn").disabled = false;
+    $("exportBtn").disabled = false;
+    renderReport();
+  }
+}
+
+const STATUS_ICONS = { pass: "✅", fail: "❌", skipped: "⏭" };
+
+function renderReport() {
+  if (!report) return;
+  const passed = report.steps.filter((s) => s.status === "pass").length;
+  if (!running)
+    $("status").textContent =
+      `${passed}/${report.steps.length} steps passed · selector registry ` +
+      `${report.registryRevision} · query "${report.query}"`;
+  $("steps").innerHTML = report.steps
+    .map((s) => {
+      const matched = Object.entries(s.matched || {})
+        .map(
+          ([role, sel]) =>
+            `<div class="sel"><span class="role">${escapeHtml(role)}</span> ${escapeHtml(sel)}</div>`
+        )
+        .join("");
+      const missed = (s.missed || [])
+        .map(
+          (role) =>
+            `<div class="sel miss"><span class="role">${escapeHtml(role)}</span> no selector matched</div>`
+        )
+        .join("");
+      const snippet = s.snippet
+        ? `<details><summary>DOM snippet</summary><pre>${escapeHtml(s.snippet)}</pre></details>`
+        : "";
+      return `<div class="step ${s.status}">
+        <div class="step-head">
+          <span>${STATUS_ICONS[s.status]} ${escapeHtml(s.label)}</span>
+          <span class="ms">${s.ms !== undefined ? `${s.ms} ms` : ""}</span>
+        </div>
+        <div class="detail">${escapeHtml(s.detail || "")}</div>
+        ${matched}${missed}${snippet}
+      </div>`;
+    })
+    .join("");
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+$("runBtn").addEventListener("click", runDiagnostics);
+$("exportBtn").addEventListener("click", () => {
+  if (!report) return;
+  const stamp = report.startedAt.replace(/[:.]/g, "-");
+  download(
+    `ytboost-diagnostics-${stamp}.json`,
+    "application/json",
+    JSON.stringify(report, null, 2)
+  );
+});
+
+$("query").value = DIAGNOSTIC_QUERY;
+// The popup's Diagnose button opens this page with ?run=1
+if (new URLSearchParams(location.search).get("run")) runDiagnostics();
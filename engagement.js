@@ -0,0 +1,108 @@
+// Opt-in engagement actions: like, Watch Later, subscribe and opening the
+// description. Everything is off until enabled in the popup. Each action has
+// a daily cap counted from session history, where every performed action is
+// recorded (record.actions) so it can be reviewed and undone by hand.
+//
+// Storage `engagement`:
+//   { like: { enabled, minPercent, maxPerDay },
+//     watchLater: { enabled, maxPerDay },
+//     subscribe: { enabled, afterSightings, maxPerDay },
+//     description: { enabled, maxPerDay },
+//     keywords: [] }   // keywords that may engage; empty = all keywords
+// afterSightings counts the sessions a channel's videos were watched in,
+// this one included.
+
+const ENGAGEMENT_ACTIONS = ["like", "watchLater", "subscribe", "description"];
+
+const DEFAULT_ENGAGEMENT = {
+  like: { enabled: false, minPercent: 70, maxPerDay: 5 },
+  watchLater: { enabled: false, maxPerDay: 3 },
+  subscribe: { enabled: false, afterSightings: 3, maxPerDay: 1 },
+  description: { enabled: false, maxPerDay: 10 },
+  keywords: [],
+};
+
+const ENGAGEMENT_LIMITS = {
+  maxPerDay: [0, 50],
+  minPercent: [10, 100],
+  afterSightings: [1, 50],
+};
+const ENGAGEMENT_LABELS = {
+  maxPerDay: "Daily engagement caps",
+  minPercent: "The like threshold",
+  afterSightings: "Sessions before subscribing",
+};
+
+function normalizeEngagement(settings) {
+  const s = settings || {};
+  const out = {};
+  for (const action of ENGAGEMENT_ACTIONS) {
+    const merged = { ...DEFAULT_ENGAGEMENT[action], ...(s[action] || {}) };
+    out[action] = { enabled: Boolean(merged.enabled) };
+    for (const key of Object.keys(DEFAULT_ENGAGEMENT[action]))
+      if (key !== "enabled") out[action][key] = Number(merged[key]);
+  }
+  out.keywords = (s.keywords || [])
+    .map((k) => String(k).trim())
+    .filter(Boolean);
+  return out;
+}
+
+function validateEngagement(s) {
+  const errors = [];
+  for (const action of ENGAGEMENT_ACTIONS) {
+    for (const [key, range] of Object.entries(ENGAGEMENT_LIMITS)) {
+      const v = s[action][key];
+      if (v !== undefined && (!Number.isInteger(v) || !inRange(v, range)))
+        errors.push(
+          `${ENGAGEMENT_LABELS[key]} must be whole numbers between ${range.join(" and ")}.`
+        );
+    }
+  }
+  return [...new Set(errors)];
+}
+
+const channelKey = (video) => video.channelId || video.channelName || null;
+
+// Actions per type since local midnight, and the number of sessions each
+// channel was watched in, from history records
+function engagementUsage(records, now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  const today = {};
+  const sightings = {};
+  for (const r of records) {
+    for (const a of r.actions || []) {
+      // Dry runs (negative.js) report without acting
+      if (a.dryRun) continue;
+      if (a.at >= midnight.getTime()) today[a.type] = (today[a.type] || 0) + 1;
+    }
+    const channels = new Set(
+      (r.videos || [])
+        .filter((v) => v.playedSeconds > 0)
+        .map(channelKey)
+        .filter(Boolean)
+    );
+    for (const c of channels) sightings[c] = (sightings[c] || 0) + 1;
+  }
+  return { today, sightings };
+}
+
+// What a session for keyword may do: per action the remaining count for
+// today plus its settings, or null when engagement is off for the keyword.
+// content.js spends the counts as it acts.
+function engagementAllowance(settings, keyword, usage) {
+  const s = normalizeEngagement(settings);
+  const wanted = s.keywords.map((k) => k.toLowerCase());
+  if (wanted.length && !wanted.includes(String(keyword).toLowerCase()))
+    return null;
+  const allowance = {};
+  for (const action of ENGAGEMENT_ACTIONS) {
+    const a = s[action];
+    const left = a.maxPerDay - (usage.today[action] || 0);
+    if (a.enabled && left > 0) allowance[action] = { ...a, left };
+  }
+  if (!Object.keys(allowance).length) return null;
+  if (allowance.subscribe) allowance.subscribe.sightings = usage.sightings;
+  return allowance;
+}
@@ -0,0 +1,152 @@
+// Offline keyword expander: turns a topic into 8-12 varied search phrases
+// from bundled templates, modifier/synonym lists and the topic's own words.
+// No network and no API key. Deterministic for a given seed (see rng.js).
+
+const EXPANDER_TEMPLATES = [
+  "{topic} {format}",
+  "{topic} {format}",
+  "{modifier} {topic}",
+  "{modifier} {topic} {format}",
+  "getting started with {topic}",
+  "how does {topic} work",
+  "{topic} for beginners",
+  "best {topic} {year}",
+  "{topic} {year}",
+  "{topic} tips and tricks",
+  "{topic} mistakes to avoid",
+  "{word} {format}",
+  "{word} {modifier} {format}",
+  "learn {topic}",
+  "{topic} from scratch",
+  "{topic} in {minutes} minutes",
+  "{topic} explained simply",
+  "what is {topic}",
+];
+
+const EXPANDER_MODIFIERS = [
+  "advanced",
+  "beginner",
+  "easy",
+  "quick",
+  "complete",
+  "practical",
+  "modern",
+  "essential",
+  "ultimate",
+  "real world",
+];
+
+const EXPANDER_FORMATS = [
+  "tutorial",
+  "guide",
+  "walkthrough",
+  "explained",
+  "review",
+  "tips",
+  "ideas",
+  "crash course",
+  "deep dive",
+  "case study",
+  "project",
+  "live stream",
+  "podcast",
+  "documentary",
+];
+
+// Swapped in for topic words to vary the phrasing
+const EXPANDER_SYNONYMS = {
+  game: ["gaming", "games"],
+  games: ["gaming", "game"],
+  programming: ["coding", "development"],
+  coding: ["programming"],
+  development: ["dev", "programming"],
+  backend: ["server side", "back end"],
+  frontend: ["front end", "ui"],
+  recipes: ["cooking", "dishes"],
+  cooking: ["recipes", "cuisine"],
+  music: ["songs", "tracks"],
+  travel: ["trip", "travel vlog"],
+  fitness: ["workout", "training"],
+  workout: ["exercise", "training"],
+  news: ["updates", "headlines"],
+  diy: ["homemade", "do it yourself"],
+  review: ["comparison", "test"],
+  design: ["layout", "styling"],
+  history: ["origins", "story"],
+};
+
+const EXPANDER_STOPWORDS = new Set(
+  "a an and the of for to in on with how what is are my your best".split(" ")
+);
+
+const EXPANDER_COUNT = [8, 12];
+
+function cleanTopic(topic) {
+  return String(topic || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// Significant words of the topic, in order
+function topicWords(topic) {
+  return cleanTopic(topic)
+    .split(" ")
+    .map((w) => w.replace(/[^\p{L}\p{N}+#-]/gu, ""))
+    .filter((w) => w.length > 1 && !EXPANDER_STOPWORDS.has(w));
+}
+
+// The topic with one word replaced by a synonym, when one is known
+function synonymVariant(topic, rng) {
+  const words = cleanTopic(topic).split(" ");
+  const candidates = words
+    .map((w, i) => [i, EXPANDER_SYNONYMS[w]])
+    .filter(([, syn]) => syn);
+  if (!candidates.length) return null;
+  const [i, syn] = rng.pick(candidates);
+  words[i] = rng.pick(syn);
+  return words.join(" ");
+}
+
+function fillTemplate(template, topic, words, rng, year) {
+  return template
+    .replace("{topic}", () =>
+      rng.chance(0.3) ? synonymVariant(topic, rng) || topic : topic
+    )
+    .replace("{modifier}", () => rng.pick(EXPANDER_MODIFIERS))
+    .replace("{format}", () => rng.pick(EXPANDER_FORMATS))
+    .replace("{word}", () => rng.pick(words))
+    .replace("{year}", String(year))
+    .replace("{minutes}", () => String(rng.pick([5, 10, 15, 20])));
+}
+
+// options: seed (number or string), count (defaults to 8-12), now (for the
+// {year} token)
+function expandTopic(topic, { seed, count, now = Date.now() } = {}) {
+  const base = cleanTopic(topic);
+  if (!base) return [];
+  const rng = createRng(seed);
+  const words = topicWords(base);
+  const year = new Date(now).getFullYear();
+  // {word} templates only make sense for multi-word topics
+  const templates = EXPANDER_TEMPLATES.filter(
+    (t) => !t.includes("{word}") || words.length > 1
+  );
+  const target = count || rng.int(EXPANDER_COUNT[0], EXPANDER_COUNT[1]);
+
+  const seen = new Set([base]);
+  const phrases = [base];
+  const add = (phrase) => {
+    const p = phrase && phrase.replace(/\s+/g, " ").trim();
+    if (!p || seen.has(p)) return;
+    seen.add(p);
+    phrases.push(p);
+  };
+  add(synonymVariant(base, rng));
+  // Templates are shuffled so repeated topics don't always open the same way;
+  // a few passes cover templates that produced duplicates
+  for (let pass = 0; pass < 3 && phrases.length < target; pass++) {
+    for (const template of rng.shuffle(templates)) {
+      if (phrases.length >= target) break;
+      add(fillTemplate(template, base, words, rng, year));
+    }
+  }
+  return phrases.slice(0, target);
+}
@@ -0,0 +1,122 @@
+// Video block/allowlists. Checked by content.js against each search result
+// before it is clicked and again on the watch page; edited in the popup.
+// Injected into YouTube tabs together with content.js.
+//
+// Storage `videoFilters`:
+//   { block: { term: [], channel: [], video: [] },
+//     allow: { term: [], channel: [], video: [] },
+//     allowOnly: false }
+// term matches whole words in the title, channel matches the channel name,
+// @handle or UC... id, video matches the video id. A more specific match
+// decides: video over channel over term, and a block wins on the same level.
+// allowOnly skips every video that no allow rule matches.
+
+const FILTER_KINDS = ["video", "channel", "term"];
+// Added to a candidate's score per allow match
+const FILTER_ALLOW_SCORE = { video: 3, channel: 2, term: 1 };
+
+const emptyFilterRules = () => ({ term: [], channel: [], video: [] });
+
+function normalizeFilters(filters) {
+  const f = filters || {};
+  const rules = (r) => {
+    const out = emptyFilterRules();
+    for (const kind of FILTER_KINDS) {
+      out[kind] = ((r && r[kind]) || [])
+        .map((v) => String(v).trim())
+        .filter(Boolean);
+    }
+    return out;
+  };
+  return {
+    block: rules(f.block),
+    allow: rules(f.allow),
+    allowOnly: Boolean(f.allowOnly),
+  };
+}
+
+// Popup syntax, one rule per line: "video:ID", "channel:@handle" or
+// "channel:Name", anything else is a title term
+function parseFilterSpec(text) {
+  const rules = emptyFilterRules();
+  const errors = [];
+  for (const raw of String(text).split("\n")) {
+    const line = raw.trim();
+    if (!line) continue;
+    const m = line.match(/^(video|channel|term):\s*(.*)$/i);
+    const kind = m ? m[1].toLowerCase() : "term";
+    const value = (m ? m[2] : line).trim();
+    if (!value) {
+      errors.push(`Empty filter rule "${line}".`);
+      continue;
+    }
+    if (kind === "video" && !/^[\w-]{6,20}$/.test(value)) {
+      errors.push(`"${value}" doesn't look like a video id.`);
+      continue;
+    }
+    rules[kind].push(value);
+  }
+  return { rules, errors };
+}
+
+function formatFilterSpec(rules) {
+  const r = rules || emptyFilterRules();
+  return [
+    ...(r.video || []).map((v) => `video:${v}`),
+    ...(r.channel || []).map((v) => `channel:${v}`),
+    ...(r.term || []),
+  ].join("\n");
+}
+
+function termMatches(title, term) {
+  const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`,
+    "u"
+  ).test(title);
+}
+
+function channelMatches(video, rule) {
+  const want = rule.toLowerCase().replace(/^@/, "");
+  return [video.channelName, video.channelHandle, video.channelId]
+    .filter(Boolean)
+    .some((v) => v.toLowerCase().replace(/^@/, "") === want);
+}
+
+// The rules of one kind that match a video
+function filterMatches(video, rules, kind) {
+  const title = (video.title || "").toLowerCase();
+  return rules[kind].filter((rule) =>
+    kind === "video"
+      ? video.videoId === rule
+      : kind === "channel"
+        ? channelMatches(video, rule)
+        : termMatches(title, rule)
+  );
+}
+
+// video: { videoId, title, channelName, channelHandle, channelId }
+// Returns { blocked, reason, score }; score counts allow matches and is used
+// to prefer allowlisted videos
+function checkVideoFilters(video, filters) {
+  const f = normalizeFilters(filters);
+  let score = 0;
+  for (const kind of FILTER_KINDS) {
+    const blocked = filterMatches(video, f.block, kind);
+    if (blocked.length)
+      return {
+        blocked: true,
+        reason: `blocked ${kind} "${blocked[0]}"`,
+        score,
+      };
+    const allowed = filterMatches(video, f.allow, kind);
+    if (allowed.length) {
+      score += allowed.length * FILTER_ALLOW_SCORE[kind];
+      // An allowed video or channel outranks broader block rules
+      if (kind !== "term") return { blocked: false, reason: null, score };
+    }
+  }
+  if (f.allowOnly && score === 0)
+    return { blocked: true, reason: "not on the allowlist", score };
+  return { blocked: false, reason: null, score };
+}
@@ -0,0 +1,330 @@
+// Session history: one normalized record per session in IndexedDB. Replaces
+// the 50-entry `logs` array in chrome.storage.local (migrated on first run).
+// Shared by the background worker and the extension pages.
+//
+// Record shape:
+//   { id, runId, source, type, scheduledTs, startedAt, endedAt,
+//     keyword, query, outcome, errorCategory, error, stage, lastStep,
+//     watchSeconds, adSeconds, stallSeconds, videosPlanned,
+//     videos: [{ videoId, url, title, channelName, channelId,
+//                durationSeconds, playedSeconds, adSeconds, stallSeconds,
+//                isShort }],
+//     skipped: [{ videoId, title, channelName, reason }],
+//     actions: [{ type, videoId, url, title, channelName, channelId, at }],
+//     interstitials: [{ kind, action, url, at }] }
+// watchSeconds is the sum of playedSeconds: content played, measured from
+// video.currentTime. Time on ads and stalled players (buffering, paused) is
+// kept apart in adSeconds and stallSeconds.
+// outcome is "success", "failure", "timeout" or "missed". type is "search"
+// or "negative" (negative.js; its actions carry a reason and dryRun).
+// Sessions ended by an interstitial (interstitials.js) carry its category,
+// e.g. "bot_check" or "consent".
+
+const HISTORY_DB = "yt-rewire-history";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "sessions";
+const HISTORY_RETENTION = { maxAgeDays: 180, maxRecords: 10000 };
+
+let historyDbPromise = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+  historyDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(HISTORY_DB, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(HISTORY_STORE, {
+        keyPath: "id",
+      });
+      store.createIndex("startedAt", "startedAt");
+      store.createIndex("runId_startedAt", ["runId", "startedAt"]);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      historyDbPromise = null;
+      reject(req.error);
+    };
+  });
+  return historyDbPromise;
+}
+
+async function historyStore(mode) {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+async function addSessionRecord(record) {
+  const store = await historyStore("readwrite");
+  await idbRequest(store.put(record));
+  return record;
+}
+
+// Records for a run and/or date range (ms timestamps, inclusive), newest
+// first unless oldestFirst is set
+async function querySessions({
+  runId = null,
+  from = 0,
+  to = Infinity,
+  limit = Infinity,
+  oldestFirst = false,
+} = {}) {
+  const store = await historyStore("readonly");
+  const source = runId
+    ? store.index("runId_startedAt")
+    : store.index("startedAt");
+  const range = runId
+    ? IDBKeyRange.bound([runId, from], [runId, to])
+    : IDBKeyRange.bound(from, to);
+  const records = [];
+  return new Promise((resolve, reject) => {
+    const req = source.openCursor(range, oldestFirst ? "next" : "prev");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || records.length >= limit) return resolve(records);
+      records.push(cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Bulk write in one transaction (imports)
+async function addSessionRecords(records) {
+  const store = await historyStore("readwrite");
+  for (const record of records) store.put(record);
+  await new Promise((resolve, reject) => {
+    store.transaction.oncomplete = resolve;
+    store.transaction.onerror = () => reject(store.transaction.error);
+    store.transaction.onabort = () => reject(store.transaction.error);
+  });
+  return records.length;
+}
+
+async function sessionRecordIds() {
+  const store = await historyStore("readonly");
+  return idbRequest(store.getAllKeys());
+}
+
+async function clearHistory() {
+  const store = await historyStore("readwrite");
+  await idbRequest(store.clear());
+}
+
+// Drop records older than maxAgeDays, then the oldest beyond maxRecords
+async function applyHistoryRetention(retention = HISTORY_RETENTION) {
+  const cutoff = Date.now() - retention.maxAgeDays * 24 * 60 * 60 * 1000;
+  const store = await historyStore("readwrite");
+  const index = store.index("startedAt");
+  await deleteByCursor(index.openCursor(IDBKeyRange.upperBound(cutoff, true)));
+  const excess = (await idbRequest(store.count())) - retention.maxRecords;
+  if (excess > 0) await deleteByCursor(index.openCursor(), excess);
+}
+
+function deleteByCursor(req, max = Infinity) {
+  let deleted = 0;
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || deleted >= max) return resolve(deleted);
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Map a failed session's error onto a small set of categories
+function categorizeError(result) {
+  if (result.errorCategory) return result.errorCategory;
+  if (result.outcome === "timeout") return "timeout";
+  const error = String(result.error || "");
+  const patterns = [
+    [/Selector timeout/i, "selector"],
+    [/No videos found/i, "no_results"],
+    [/did not finish loading|page loads|Navigation did not/i, "navigation"],
+    [/Cannot access|Receiving end|establish connection|inject/i, "injection"],
+    [/tab was closed/i, "tab_closed"],
+    [/Stopped by user/i, "stopped"],
+    [/interrupted/i, "interrupted"],
+  ];
+  const match = patterns.find(([re]) => re.test(error));
+  return match ? match[1] : "unknown";
+}
+
+function normalizeVideo(v) {
+  return {
+    videoId: v.videoId || null,
+    url: v.url || null,
+    title: v.title || null,
+    channelName: v.channelName || null,
+    channelId: v.channelId || null,
+    durationSeconds: v.durationSeconds ? Math.round(v.durationSeconds) : null,
+    // Older results only had a wall-clock watchSeconds
+    playedSeconds: Math.round(v.playedSeconds ?? v.watchSeconds ?? 0),
+    adSeconds: Math.round(v.adSeconds || 0),
+    stallSeconds: Math.round(v.stallSeconds || 0),
+    isShort: Boolean(v.isShort || (v.url && v.url.includes("/shorts/"))),
+  };
+}
+
+// Build the stored record from the orchestrator's session and the content
+// script's result
+function normalizeSessionRecord(session, result) {
+  const outcome = result.success
+    ? "success"
+    : result.outcome === "timeout"
+      ? "timeout"
+      : "failure";
+  return {
+    id: session.id,
+    runId: session.runId || null,
+    source: session.source || null,
+    type: session.type || "search",
+    scheduledTs: session.scheduledTs || null,
+    startedAt: session.startedAt,
+    endedAt: Date.now(),
+    keyword: session.keyword || result.keyword || null,
+    query: session.query || result.query || null,
+    outcome,
+    errorCategory: outcome === "success" ? null : categorizeError(result),
+    error: outcome === "success" ? null : String(result.error || ""),
+    stage: result.stage || null,
+    lastStep: result.lastStep || session.lastStep || null,
+    watchSeconds: Math.round(result.watchSeconds || 0),
+    adSeconds: Math.round(result.adSeconds || 0),
+    stallSeconds: Math.round(result.stallSeconds || 0),
+    videosPlanned: result.videosAttempted || session.videosPlanned || 0,
+    videos: (result.videos || []).map(normalizeVideo),
+    // Results the video filters ruled out (filters.js)
+    skipped: (result.skipped || []).slice(0, 50),
+    // Engagement actions taken (engagement.js), kept for review
+    actions: result.actions || [],
+    // Consent walls, prompts and ads handled on the way (interstitials.js)
+    interstitials: (result.interstitials || []).slice(0, 50),
+  };
+}
+
+// A scheduled session that never ran (browser closed at the time). Built
+// like a real session's record so it has every field (type, interstitials).
+function missedSessionRecord(run, ts, policy) {
+  const session = {
+    id: `missed-${run.id}-${ts}`,
+    runId: run.id,
+    source: "scheduled",
+    scheduledTs: ts,
+    startedAt: ts,
+  };
+  return {
+    ...normalizeSessionRecord(session, {
+      success: false,
+      errorCategory: "missed",
+      error: `Browser was closed at the scheduled time (policy: ${policy})`,
+    }),
+    endedAt: ts,
+    outcome: "missed",
+  };
+}
+
+// A scheduled session skipped while its run was paused
+function pausedSessionRecord(run, ts) {
+  return {
+    ...missedSessionRecord(run, ts, "paused"),
+    id: `paused-${run.id}-${ts}`,
+    errorCategory: "paused",
+    error: `Run paused: ${run.paused.reason}`,
+  };
+}
+
+// Entries from the old `logs` array came in two shapes: raw session results
+// and { kind, message, details, time } notes
+function normalizeLegacyLog(entry, i) {
+  const ts = entry.ts || entry.time || Date.now();
+  const record = {
+    id: `legacy-${ts}-${i}`,
+    runId: entry.runId || null,
+    source: entry.source || null,
+    scheduledTs: null,
+    startedAt: ts,
+    endedAt: ts,
+    keyword: entry.keyword || null,
+    query: entry.keyword || null,
+    outcome: "failure",
+    errorCategory: null,
+    error: null,
+    stage: entry.stage || null,
+    lastStep: entry.lastStep || null,
+    watchSeconds: Math.round(entry.watchSeconds || 0),
+    videosPlanned: entry.videosAttempted || 0,
+    videos: [],
+    skipped: [],
+    actions: [],
+  };
+  if (entry.success || entry.kind === "success") record.outcome = "success";
+  else if (entry.kind === "info") {
+    record.outcome = "missed";
+    record.errorCategory = "missed";
+    record.error = [entry.message, entry.details].filter(Boolean).join(" — ");
+  } else {
+    record.error = entry.error || entry.details || entry.message || "failed";
+    record.errorCategory = categorizeError({ ...entry, error: record.error });
+  }
+  return record;
+}
+
+// One-time move of chrome.storage.local `logs` into IndexedDB
+async function migrateLegacyLogs() {
+  const s = await new Promise((r) =>
+    chrome.storage.local.get(["logs", "historyMigrated"], r)
+  );
+  if (s.historyMigrated) return 0;
+  const logs = s.logs || [];
+  for (let i = 0; i < logs.length; i++)
+    await addSessionRecord(normalizeLegacyLog(logs[i], i));
+  await new Promise((r) =>
+    chrome.storage.local.set({ historyMigrated: true }, r)
+  );
+  await new Promise((r) => chrome.storage.local.remove(["logs"], r));
+  return logs.length;
+}
+
+// Finished and stopped runs keep their planned schedule here (newest first)
+// so the dashboard can compare it with what actually ran
+const RUN_ARCHIVE_LIMIT = 50;
+
+async function getRunArchive() {
+  const { runArchive } = await new Promise((r) =>
+    chrome.storage.local.get(["runArchive"], r)
+  );
+  return runArchive || [];
+}
+
+async function archiveRun(run, endReason) {
+  if (!run || !run.id) return;
+  const entry = {
+    id: run.id,
+    planName: run.plan ? run.plan.name : null,
+    startTs: run.startTs,
+    endTs: run.endTs || null,
+    endedAt: Date.now(),
+    endReason,
+    schedule: run.schedule || [],
+    completed: run.completed || [],
+    skipped: run.skipped || [],
+    keywords: run.keywords || [],
+  };
+  const archive = (await getRunArchive()).filter((r) => r.id !== run.id);
+  archive.unshift(entry);
+  await new Promise((r) =>
+    chrome.storage.local.set(
+      { runArchive: archive.slice(0, RUN_ARCHIVE_LIMIT) },
+      r
+    )
+  );
+}
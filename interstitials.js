@@ -0,0 +1,66 @@
+// Interstitials: whatever stands between a session and the video. That means
+// the cookie-consent wall (on youtube.com or consent.youtube.com), "Sign in
+// to confirm you're not a bot", sign-in prompts, age-restricted videos and
+// pre-roll ads. content.js recognizes them (selectors.js roles plus the
+// player error texts below) and takes the configured action. A session that
+// can't get past one fails with that interstitial's error category instead
+// of a selector timeout.
+//
+// Storage `interstitials`:
+//   { consent: "accept" | "reject" | "abort",
+//     signIn: "dismiss" | "abort",
+//     ageGate: "skip" | "abort",     // skip: move on to the next video
+//     ads: "skip" | "wait",          // skip: click Skip once it shows
+//     botCheck: "pause" | "abort" }  // pause: also pause the run
+// Ad playback never counts as watch time, whichever the ad action.
+
+const INTERSTITIAL_ACTIONS = {
+  consent: ["accept", "reject", "abort"],
+  signIn: ["dismiss", "abort"],
+  ageGate: ["skip", "abort"],
+  ads: ["skip", "wait"],
+  botCheck: ["pause", "abort"],
+};
+
+const DEFAULT_INTERSTITIALS = {
+  consent: "accept",
+  signIn: "dismiss",
+  ageGate: "skip",
+  ads: "skip",
+  botCheck: "pause",
+};
+
+// History errorCategory of a session that ended at each interstitial
+const INTERSTITIAL_ERRORS = {
+  consent: "consent",
+  signIn: "sign_in",
+  ageGate: "age_restricted",
+  botCheck: "bot_check",
+};
+
+// Player error screen texts (English UI)
+const BOT_CHECK_PATTERN = /not a bot|unusual traffic/i;
+const AGE_GATE_PATTERN =
+  /confirm your age|age-restricted|inappropriate for some users/i;
+
+// Pages a session tab can be sent to where the content script can't run
+const INTERSTITIAL_URLS = [
+  [/^https:\/\/(www\.)?google\.[a-z.]+\/sorry\//, "botCheck"],
+  [/^https:\/\/accounts\.google\.com\//, "signIn"],
+];
+
+function normalizeInterstitials(settings) {
+  const s = settings || {};
+  const out = {};
+  for (const [kind, actions] of Object.entries(INTERSTITIAL_ACTIONS))
+    out[kind] = actions.includes(s[kind])
+      ? s[kind]
+      : DEFAULT_INTERSTITIALS[kind];
+  return out;
+}
+
+// The interstitial a tab URL stands for, or null
+function interstitialForUrl(url) {
+  const match = INTERSTITIAL_URLS.find(([re]) => re.test(url || ""));
+  return match ? match[1] : null;
+}
@@ -0,0 +1,143 @@
+// Weighted keywords. A keyword set holds entries
+//   { text, weight, minPerDay, maxPerDay }
+// (plain strings from older storage are read as weight 1, no limits). The
+// selector spreads a run's sessions over the keywords in proportion to their
+// weights, using the run's session history as the real usage.
+//
+// Popup syntax, comma- or newline-separated:
+//   cooking *3 [1-2]   weight 3, at least 1 and at most 2 sessions a day
+//   travel [-1]        weight 1, at most 1 a day
+//   music [2]          exactly 2 a day where the schedule allows
+
+const KEYWORD_LIMITS = { weight: [0.1, 100], perDay: [0, 24] };
+
+function normalizeKeywordEntry(entry) {
+  if (typeof entry === "string")
+    return { text: entry.trim(), weight: 1, minPerDay: null, maxPerDay: null };
+  const limit = (v) =>
+    v === null || v === undefined || v === "" ? null : Number(v);
+  return {
+    text: String(entry.text || "").trim(),
+    weight: entry.weight === undefined ? 1 : Number(entry.weight),
+    minPerDay: limit(entry.minPerDay),
+    maxPerDay: limit(entry.maxPerDay),
+  };
+}
+
+const keywordText = (entry) => (typeof entry === "string" ? entry : entry.text);
+
+function validateKeywordEntries(entries) {
+  const errors = [];
+  for (const k of entries) {
+    if (!k.text) errors.push("Keywords cannot be empty.");
+    if (!inRange(k.weight, KEYWORD_LIMITS.weight))
+      errors.push(
+        `Keyword weights must be between ${KEYWORD_LIMITS.weight.join(" and ")} ("${k.text}").`
+      );
+    for (const v of [k.minPerDay, k.maxPerDay]) {
+      if (
+        v !== null &&
+        (!Number.isInteger(v) || !inRange(v, KEYWORD_LIMITS.perDay))
+      )
+        errors.push(
+          `Sessions per day must be whole numbers between ${KEYWORD_LIMITS.perDay.join(" and ")} ("${k.text}").`
+        );
+    }
+    if (
+      k.minPerDay !== null &&
+      k.maxPerDay !== null &&
+      k.minPerDay > k.maxPerDay
+    )
+      errors.push(`"${k.text}": the daily minimum exceeds the maximum.`);
+  }
+  return [...new Set(errors)];
+}
+
+// Trailing "*weight" and "[min-max]" in either order
+function parseKeywordEntry(raw) {
+  let text = raw.trim();
+  const entry = { weight: 1, minPerDay: null, maxPerDay: null };
+  for (;;) {
+    const weight = text.match(/\s*\*\s*([\d.]+)$/);
+    const range = text.match(/\s*\[\s*(\d*)\s*(-)?\s*(\d*)\s*\]$/);
+    if (weight) {
+      entry.weight = Number(weight[1]);
+      text = text.slice(0, weight.index);
+    } else if (range) {
+      const [, min, dash, max] = range;
+      entry.minPerDay = min === "" ? null : Number(min);
+      if (!dash) entry.maxPerDay = entry.minPerDay;
+      else entry.maxPerDay = max === "" ? null : Number(max);
+      text = text.slice(0, range.index);
+    } else break;
+  }
+  return { text: text.trim(), ...entry };
+}
+
+function parseKeywordSpec(text) {
+  const keywords = String(text)
+    .split(/[,\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map(parseKeywordEntry);
+  return { keywords, errors: validateKeywordEntries(keywords) };
+}
+
+function formatKeywordEntry(entry) {
+  const k = normalizeKeywordEntry(entry);
+  let out = k.text;
+  if (k.weight !== 1) out += ` *${k.weight}`;
+  if (k.minPerDay !== null || k.maxPerDay !== null) {
+    out +=
+      k.minPerDay === k.maxPerDay
+        ? ` [${k.minPerDay}]`
+        : ` [${k.minPerDay ?? ""}-${k.maxPerDay ?? ""}]`;
+  }
+  return out;
+}
+
+const formatKeywordSpec = (entries) =>
+  entries.map(formatKeywordEntry).join(", ");
+
+// Sessions per keyword text from history records: over the whole run and
+// since local midnight
+function keywordUsage(records, now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  const total = new Map();
+  const today = new Map();
+  for (const r of records) {
+    if (r.outcome === "missed" || !r.keyword) continue;
+    total.set(r.keyword, (total.get(r.keyword) || 0) + 1);
+    if (r.startedAt >= midnight.getTime())
+      today.set(r.keyword, (today.get(r.keyword) || 0) + 1);
+  }
+  return { total, today };
+}
+
+// Picks the keyword furthest behind its target share of the run so far:
+// deficit = weight / totalWeight * (sessions + 1) - used. Keywords at their
+// daily maximum are skipped; keywords under their daily minimum go first.
+// Ties are broken at random, so equal weights rotate in a random order.
+function pickBalancedKeyword(entries, usage, rng = createRng()) {
+  const all = entries.map(normalizeKeywordEntry).filter((k) => k.text);
+  if (!all.length) return null;
+  const today = (k) => usage.today.get(k.text) || 0;
+  const used = (k) => usage.total.get(k.text) || 0;
+  let candidates = all.filter(
+    (k) => k.maxPerDay === null || today(k) < k.maxPerDay
+  );
+  // Every keyword is capped for today: fall back to all of them
+  if (!candidates.length) candidates = all;
+  const behind = candidates.filter(
+    (k) => k.minPerDay !== null && today(k) < k.minPerDay
+  );
+  if (behind.length) candidates = behind;
+
+  const totalWeight = all.reduce((sum, k) => sum + k.weight, 0);
+  const sessions = all.reduce((sum, k) => sum + used(k), 0);
+  const deficit = (k) => (k.weight / totalWeight) * (sessions + 1) - used(k);
+  const best = Math.max(...candidates.map(deficit));
+  const top = candidates.filter((k) => best - deficit(k) < 1e-9);
+  return rng.pick(top).text;
+}
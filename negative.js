@@ -0,0 +1,102 @@
+// Negative training: a session type that opens the home feed and tells
+// YouTube what to show less of. Feed items whose channel matches an unwanted
+// channel get "Don't recommend channel"; items whose title matches an
+// unwanted term get "Not interested". Matching uses filters.js rules.
+//
+// Storage `negativeTraining`:
+//   { rules: { term: [], channel: [], video: [] },
+//     maxPerDay: 10,        // actions per day, counted from history
+//     maxPerSession: 5,
+//     dryRun: true,         // only report what would be acted on
+//     everyNthSession: 0 }  // during a run, every Nth session; 0 = manual only
+// Actions are recorded in session history like engagement actions, with
+// dryRun set when nothing was clicked.
+
+const NEGATIVE_ACTIONS = ["notInterested", "dontRecommend"];
+
+const DEFAULT_NEGATIVE_TRAINING = {
+  rules: { term: [], channel: [], video: [] },
+  maxPerDay: 10,
+  maxPerSession: 5,
+  dryRun: true,
+  everyNthSession: 0,
+};
+
+const NEGATIVE_LIMITS = {
+  maxPerDay: [1, 50],
+  maxPerSession: [1, 20],
+  everyNthSession: [0, 20],
+};
+const NEGATIVE_LABELS = {
+  maxPerDay: "Negative actions per day",
+  maxPerSession: "Negative actions per session",
+  everyNthSession: "Every Nth session",
+};
+
+function normalizeNegativeTraining(settings) {
+  const s = { ...DEFAULT_NEGATIVE_TRAINING, ...(settings || {}) };
+  const rules = normalizeFilters({ block: s.rules }).block;
+  return {
+    // Video ids mean nothing on the home feed
+    rules: { ...rules, video: [] },
+    maxPerDay: Number(s.maxPerDay),
+    maxPerSession: Number(s.maxPerSession),
+    dryRun: Boolean(s.dryRun),
+    everyNthSession: Number(s.everyNthSession),
+  };
+}
+
+function validateNegativeTraining(s) {
+  const errors = [];
+  for (const [key, range] of Object.entries(NEGATIVE_LIMITS)) {
+    if (!Number.isInteger(s[key]) || !inRange(s[key], range))
+      errors.push(
+        `${NEGATIVE_LABELS[key]} must be a whole number between ${range.join(" and ")}.`
+      );
+  }
+  if (s.maxPerSession > s.maxPerDay)
+    errors.push("Actions per session cannot exceed the daily cap.");
+  return errors;
+}
+
+const hasNegativeRules = (s) =>
+  s.rules.term.length > 0 || s.rules.channel.length > 0;
+
+// The action a feed item calls for and why, or null. A channel match beats
+// a title match: the whole channel goes.
+function negativeActionFor(item, rules) {
+  const channel = filterMatches(item, rules, "channel");
+  if (channel.length)
+    return { type: "dontRecommend", reason: `channel "${channel[0]}"` };
+  const term = filterMatches(item, rules, "term");
+  if (term.length)
+    return { type: "notInterested", reason: `term "${term[0]}"` };
+  return null;
+}
+
+// What a negative session may do, given today's usage (engagementUsage from
+// engagement.js); null when there is nothing to do
+function negativeAllowance(settings, usage) {
+  const s = normalizeNegativeTraining(settings);
+  if (!hasNegativeRules(s)) return null;
+  const usedToday = NEGATIVE_ACTIONS.reduce(
+    (sum, type) => sum + (usage.today[type] || 0),
+    0
+  );
+  // A dry run acts on nothing, so it is not held to the daily cap
+  const left = s.dryRun
+    ? s.maxPerSession
+    : Math.min(s.maxPerSession, s.maxPerDay - usedToday);
+  if (left <= 0) return null;
+  return { rules: s.rules, dryRun: s.dryRun, left };
+}
+
+// Whether the next session of a run should be a negative one
+function isNegativeTurn(settings, sessionsSoFar) {
+  const s = normalizeNegativeTraining(settings);
+  return (
+    s.everyNthSession > 0 &&
+    hasNegativeRules(s) &&
+    (sessionsSoFar + 1) % s.everyNthSession === 0
+  );
+}
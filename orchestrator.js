@@ -0,0 +1,454 @@
+// Session orchestrator: the single owner of a watch session's lifecycle.
+// It opens the tab, waits for it to load, injects content.js, collects the
+// result, closes the tab and decides what runs next. Only one session runs
+// at a time; scheduled requests that arrive while busy are queued.
+//
+//   idle -> opening -> loading -> injecting -> running -> cleanup -> idle
+//
+// The active session is mirrored to storage ("activeSession") so a worker
+// that was evicted mid-session can still finish it when the result arrives.
+// A watchdog alarm closes sessions that stop responding (see armWatchdog).
+// Full page loads inside a session wipe content.js; its saved progress is
+// kept in chrome.storage.session per tab and the session is resumed.
+// Loaded by background.js and uses its storage/log helpers.
+
+const ORCHESTRATOR = {
+  tabLoadTimeoutMs: 30 * 1000,
+  // Watchdog deadline: a fixed allowance for loading and searching plus, per
+  // planned video, the plan's watch cap and some navigation overhead
+  watchdogBaseMs: 3 * 60 * 1000,
+  watchdogPerVideoMs: 60 * 1000,
+  // Videos assumed until the content script reports how many it plans
+  watchdogDefaultVideos: 4,
+  // Pause between immediate-mode sessions
+  minGapMs: 30 * 1000,
+  maxGapMs: 2 * 60 * 1000,
+  maxQueued: 5,
+};
+
+// Injected into the session tab; the helpers provide the selector registry,
+// seeded randomness, playback behavior profiles, the video filter checks,
+// result ranking, feed matching and the interstitial settings for content.js
+const CONTENT_SCRIPT_FILES = [
+  "selectors.js",
+  "rng.js",
+  "behavior.js",
+  "filters.js",
+  "ranking.js",
+  "negative.js",
+  "interstitials.js",
+  "content.js",
+];
+
+const SESSION_TRANSITIONS = {
+  idle: ["opening"],
+  opening: ["loading", "cleanup"],
+  loading: ["injecting", "cleanup"],
+  injecting: ["running", "cleanup"],
+  running: ["cleanup"],
+  cleanup: ["idle"],
+};
+
+// In-memory guard: set synchronously so two alarms firing together can't
+// both start a session before storage catches up
+let sessionBusy = false;
+// Resolver for the session in "running", keyed by its tab
+let resultWaiter = null;
+
+async function getActiveSession() {
+  const { activeSession } = await getStore(["activeSession"]);
+  return activeSession || null;
+}
+
+async function transition(session, state) {
+  const from = session.state || "idle";
+  if (!SESSION_TRANSITIONS[from].includes(state))
+    throw new Error(`Invalid session transition: ${from} -> ${state}`);
+  session.state = state;
+  session.updatedAt = Date.now();
+  await setStore({ activeSession: state === "idle" ? null : session });
+}
+
+// Entry point for every session, scheduled or immediate.
+// request: { source: "scheduled" | "immediate" | "manual", runId, active,
+//   scheduledTs, type }. Manual requests (negative training from the popup)
+// don't need a run.
+async function requestSession(request) {
+  if (sessionBusy) return enqueueSession(request);
+  sessionBusy = true;
+  try {
+    if (await getActiveSession()) return enqueueSession(request);
+    const store = await getStore();
+    // The run may have been stopped or replaced while this request waited
+    const runGone =
+      !store.isRunning || (request.runId && store.runId !== request.runId);
+    const paused = Boolean(store.currentRun && store.currentRun.paused);
+    if ((runGone || paused) && request.source !== "manual") return;
+    await runSessionLifecycle(request, store);
+  } finally {
+    sessionBusy = false;
+  }
+}
+
+// Immediate sessions are not queued: the loop queues its next session itself
+// once the current one finishes
+async function enqueueSession(request) {
+  if (request.source !== "scheduled") return;
+  const { sessionQueue = [] } = await getStore(["sessionQueue"]);
+  if (sessionQueue.length >= ORCHESTRATOR.maxQueued) return;
+  sessionQueue.push(request);
+  await setStore({ sessionQueue });
+}
+
+async function runSessionLifecycle(request, store) {
+  const run = store.currentRun || {};
+  const session = {
+    id: `session-${Date.now()}`,
+    source: request.source,
+    type: request.type || "search",
+    runId: request.runId,
+    scheduledTs: request.scheduledTs || null,
+    keyword: null,
+    query: null,
+    tabId: null,
+    state: "idle",
+    startedAt: Date.now(),
+    maxWatchSeconds: null,
+    lastStep: null,
+    lastStepAt: null,
+  };
+  let plan, negative, keyword, query, result;
+  try {
+    await transition(session, "opening");
+    // Chosen once the session is stored, so a failure here (storage, bad
+    // keywords) is recorded and the orchestrator still goes back to idle
+    plan = run.plan || (await getActivePlan());
+    // Negative sessions work the home feed and need no keyword or query
+    session.type = await sessionTypeFor(request, store);
+    negative = session.type === "negative";
+    keyword = negative
+      ? null
+      : await pickKeyword(run.keywords || store.keywords, request.runId);
+    query = negative ? null : await chooseRunQuery(keyword, plan);
+    Object.assign(session, {
+      keyword,
+      query,
+      maxWatchSeconds: plan.maxWatchSeconds,
+    });
+    await setStore({ activeSession: session });
+    armWatchdog(session);
+    const tab = await chrome.tabs.create({
+      url: "https://www.youtube.com",
+      active: !!request.active,
+    });
+    session.tabId = tab.id;
+
+    await transition(session, "loading");
+    await waitForTabComplete(tab.id, ORCHESTRATOR.tabLoadTimeoutMs);
+    const landed = await chrome.tabs.get(tab.id);
+    const kind = interstitialForUrl(landed.url);
+    if (kind) {
+      const err = new Error(`YouTube redirected to ${new URL(landed.url).hostname}`);
+      err.category = INTERSTITIAL_ERRORS[kind];
+      throw err;
+    }
+
+    await transition(session, "injecting");
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: CONTENT_SCRIPT_FILES,
+    });
+
+    // Params are kept with the session so a resume can send them again
+    session.params = negative
+      ? {
+          type: session.type,
+          runId: request.runId || null,
+          config: {
+            negative: await negativeForSession(store.negativeTraining),
+            selectors: await sessionSelectors(store),
+            interstitials: normalizeInterstitials(store.interstitials),
+          },
+        }
+      : await searchSessionParams(session, plan, store);
+    await transition(session, "running");
+    result = await collectResult(tab.id, session.params);
+  } catch (err) {
+    console.error(`Session failed while ${session.state}:`, err);
+    result = {
+      success: false,
+      error: String(err),
+      errorCategory: err.category || null,
+      keyword,
+      query,
+    };
+  }
+  if (!result.success) result.stage = session.state;
+  await completeSession(session, result);
+}
+
+// What content.js needs for a search->watch session
+async function searchSessionParams(session, plan, store) {
+  return {
+    keyword: session.keyword,
+    query: session.query,
+    runId: session.runId,
+    config: {
+      maxWatchSeconds: plan.maxWatchSeconds,
+      filters: normalizeFilters(store.videoFilters),
+      ranking: normalizeRanking(plan.ranking),
+      shorts: normalizeShortsPolicy(plan.shorts),
+      behavior: normalizeBehaviorProfile(plan.behavior),
+      // Seeds the result ranking, so a session's picks can be replayed
+      seed: session.id,
+      engagement: await engagementForSession(session.keyword, store.engagement),
+      selectors: await sessionSelectors(store),
+      interstitials: normalizeInterstitials(store.interstitials),
+    },
+  };
+}
+
+// Resolve once the tab reports status "complete"
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error(`Tab did not finish loading in ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    function onUpdated(id, info) {
+      if (id !== tabId || info.status !== "complete") return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    // It may already be complete by the time the listener is attached
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === "complete") onUpdated(tabId, { status: "complete" });
+    }, reject);
+  });
+}
+
+// Start the content script session and wait for its sessionResult message.
+// There is no timer here: the watchdog alarm ends sessions that hang.
+function collectResult(tabId, params) {
+  return new Promise((resolve) => {
+    function finish(result) {
+      resultWaiter = null;
+      resolve({ keyword: params.keyword, ...result });
+    }
+    resultWaiter = { tabId, finish };
+    // content.js acknowledges right away; the result arrives separately
+    chrome.tabs
+      .sendMessage(tabId, { action: "startSession", params })
+      .catch((err) => finish({ success: false, error: String(err) }));
+  });
+}
+
+// Routed here from the sessionResult message listener
+async function handleSessionResult(tabId, result) {
+  if (resultWaiter && resultWaiter.tabId === tabId)
+    return resultWaiter.finish(result);
+  // The worker restarted while this session ran: finish it from storage
+  const active = await getActiveSession();
+  if (active && active.tabId === tabId && active.state === "running")
+    await completeSession(active, { keyword: active.keyword, ...result });
+}
+
+async function completeSession(session, result) {
+  // Already closed out elsewhere (watchdog or abort won the race)
+  const active = await getActiveSession();
+  if (!active || active.id !== session.id) return;
+  // Progress fields only live in storage; keep them for the record
+  session = { ...active, state: session.state };
+  chrome.alarms.clear("watchdog");
+  if (session.tabId)
+    chrome.storage.session.remove(sessionStateKey(session.tabId));
+  // A worker that died mid-cleanup leaves the session in "cleanup" already
+  if (session.state !== "cleanup") await transition(session, "cleanup");
+  if (session.tabId) chrome.tabs.remove(session.tabId).catch(() => {});
+  await recordSessionResult(session, result);
+  await transition(session, "idle");
+  await pickNextSession();
+}
+
+// Decide what runs next: queued scheduled sessions first, then the
+// immediate-mode loop
+async function pickNextSession() {
+  const s = await getStore();
+  // A paused run (bot check) waits for the user
+  if (s.currentRun && s.currentRun.paused) return;
+  const queue = s.sessionQueue || [];
+  if (queue.length && s.isRunning) {
+    const next = queue.shift();
+    await setStore({ sessionQueue: queue });
+    // Let the current lifecycle unwind before the next one starts
+    setTimeout(() => requestSession(next), 0);
+    return;
+  }
+  if (s.isRunning && s.immediateMode)
+    queueImmediateSession(rand(ORCHESTRATOR.minGapMs, ORCHESTRATOR.maxGapMs));
+}
+
+// Stop whatever session is running (user stopped the run, tab closed, an
+// interstitial page). errorCategory overrides the guess from the message.
+async function abortActiveSession(reason, errorCategory = null) {
+  const result = { success: false, error: reason, errorCategory };
+  if (resultWaiter) return resultWaiter.finish(result);
+  const active = await getActiveSession();
+  if (active) await completeSession(active, result);
+}
+
+// After a browser restart the session tab is gone; close out the stale
+// session so the orchestrator is idle again. Sessions whose tab survived are
+// left to the watchdog.
+async function recoverActiveSession() {
+  if (sessionBusy || resultWaiter) return;
+  const active = await getActiveSession();
+  if (!active) return;
+  const tab = active.tabId
+    ? await chrome.tabs.get(active.tabId).catch(() => null)
+    : null;
+  if (!tab)
+    return completeSession(active, {
+      success: false,
+      error: "Session interrupted",
+      keyword: active.keyword,
+    });
+  // Alarms don't always survive a restart; put the watchdog back
+  chrome.alarms.create("watchdog", { when: active.deadline });
+}
+
+function sessionDeadline(session) {
+  const videos = session.videosPlanned || ORCHESTRATOR.watchdogDefaultVideos;
+  const perVideo =
+    session.maxWatchSeconds * 1000 + ORCHESTRATOR.watchdogPerVideoMs;
+  return session.startedAt + ORCHESTRATOR.watchdogBaseMs + videos * perVideo;
+}
+
+// An alarm rather than a timer so the deadline survives worker eviction
+function armWatchdog(session) {
+  session.deadline = sessionDeadline(session);
+  chrome.alarms.create("watchdog", { when: session.deadline });
+}
+
+// content.js reports each step it reaches; the last one ends up in the
+// timeout record, and the planned video count tightens the deadline
+async function handleSessionProgress(tabId, progress) {
+  const active = await getActiveSession();
+  if (!active || active.tabId !== tabId || active.state !== "running") return;
+  active.lastStep = progress.step;
+  active.lastStepAt = Date.now();
+  if (progress.videosPlanned) {
+    active.videosPlanned = progress.videosPlanned;
+    armWatchdog(active);
+  }
+  await setStore({ activeSession: active });
+}
+
+async function onWatchdogAlarm() {
+  const active = await getActiveSession();
+  if (!active) return;
+  // The deadline moved since this alarm was set
+  if (Date.now() < active.deadline) {
+    chrome.alarms.create("watchdog", { when: active.deadline });
+    return;
+  }
+  const elapsed = Math.round((Date.now() - active.startedAt) / 1000);
+  const lastStep = active.lastStep || active.state;
+  const result = {
+    success: false,
+    outcome: "timeout",
+    keyword: active.keyword,
+    error: `Session timed out after ${elapsed}s (last step: ${lastStep})`,
+    lastStep,
+    lastStepAt: active.lastStepAt,
+    stage: active.state,
+  };
+  if (resultWaiter && resultWaiter.tabId === active.tabId)
+    return resultWaiter.finish(result);
+  // Hung before the content script started (or the worker restarted)
+  await completeSession(active, result);
+}
+
+const sessionStateKey = (tabId) => `sessionState-${tabId}`;
+
+// Progress snapshot from content.js (keyword used, video queue, watched list,
+// time so far). Answered only once stored, so the page may navigate after.
+async function storeSessionState(tabId, state) {
+  const active = await getActiveSession();
+  if (!active || active.tabId !== tabId) return;
+  await chrome.storage.session.set({ [sessionStateKey(tabId)]: state });
+}
+
+// Inject the content scripts unless they survived in the tab; true when
+// they were injected just now
+async function ensureContentScript(tabId) {
+  const alive = await chrome.tabs.sendMessage(tabId, { action: "ping" }).then(
+    () => true,
+    () => false
+  );
+  if (alive) return false;
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: CONTENT_SCRIPT_FILES,
+  });
+  return true;
+}
+
+// A full page load in the session tab drops content.js. If it no longer
+// answers a ping, inject it again and hand it the saved progress.
+async function resumeAfterNavigation(tabId) {
+  const active = await getActiveSession();
+  if (!active || active.tabId !== tabId || active.state !== "running") return;
+  // Sent somewhere the content script can't follow (bot check, sign-in)
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const kind = tab && interstitialForUrl(tab.url);
+  if (kind)
+    return abortActiveSession(
+      `Session tab was sent to ${new URL(tab.url).hostname}`,
+      INTERSTITIAL_ERRORS[kind]
+    );
+  const key = sessionStateKey(tabId);
+  const { [key]: saved } = await chrome.storage.session.get(key);
+  try {
+    if (!(await ensureContentScript(tabId))) return;
+    await chrome.tabs.sendMessage(tabId, {
+      action: "resumeSession",
+      params: active.params,
+      state: saved || null,
+    });
+  } catch (err) {
+    // e.g. navigated off YouTube; the watchdog closes the session
+    console.warn("Could not resume session after navigation:", err);
+  }
+}
+
+chrome.tabs.onUpdated.addListener((tabId, info) => {
+  if (info.status === "complete") resumeAfterNavigation(tabId);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === "watchdog") onWatchdogAlarm();
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (resultWaiter && resultWaiter.tabId === tabId)
+    resultWaiter.finish({ success: false, error: "Session tab was closed" });
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.type === "sessionResult") {
+    handleSessionResult(sender.tab && sender.tab.id, msg.result || {});
+    sendResponse({ received: true });
+  }
+  if (msg.type === "sessionProgress") {
+    handleSessionProgress(sender.tab && sender.tab.id, msg.progress || {});
+  }
+  if (msg.type === "sessionState") {
+    storeSessionState(sender.tab && sender.tab.id, msg.state).then(() =>
+      sendResponse({ saved: true })
+    );
+    return true;
+  }
+});
@@ -0,0 +1,268 @@
+// Run plans: named presets that shape a boost (duration, session cadence,
+// watch cap and keyword set). Shared by the background worker and the popup.
+
+const DEFAULT_PLAN_ID = "standard";
+
+const BUILTIN_PLANS = [
+  {
+    id: "standard",
+    name: "Standard 7-day",
+    builtin: true,
+    days: 7,
+    minSessionsPerDay: 3,
+    maxSessionsPerDay: 5,
+    minBetweenHours: 2,
+    maxBetweenHours: 6,
+    maxWatchSeconds: 15 * 60,
+    behavior: "casual",
+    activeWindows: null,
+    blackouts: [],
+    missedSessionPolicy: "catchUp",
+    keywords: [],
+  },
+  {
+    id: "weekend-light",
+    name: "Weekend light",
+    builtin: true,
+    days: 2,
+    minSessionsPerDay: 1,
+    maxSessionsPerDay: 2,
+    minBetweenHours: 3,
+    maxBetweenHours: 6,
+    maxWatchSeconds: 10 * 60,
+    behavior: "skimmer",
+    activeWindows: null,
+    blackouts: [],
+    missedSessionPolicy: "skip",
+    keywords: [],
+  },
+  {
+    id: "deep-dive-14",
+    name: "2-week deep dive",
+    builtin: true,
+    days: 14,
+    minSessionsPerDay: 4,
+    maxSessionsPerDay: 6,
+    minBetweenHours: 1.5,
+    maxBetweenHours: 4,
+    maxWatchSeconds: 20 * 60,
+    behavior: "completionist",
+    activeWindows: null,
+    blackouts: [],
+    missedSessionPolicy: "shift",
+    keywords: [],
+  },
+];
+
+// What happens to sessions whose time passed while the browser was closed:
+// drop them, run a single catch-up session, or push the rest of the run back
+const MISSED_SESSION_POLICIES = ["skip", "catchUp", "shift"];
+
+// Accepted ranges for plan fields (inclusive)
+const PLAN_LIMITS = {
+  days: [1, 60],
+  sessionsPerDay: [1, 24],
+  betweenHours: [0.25, 24],
+  maxWatchSeconds: [30, 3 * 60 * 60],
+  maxKeywords: 20,
+  maxNameLength: 40,
+};
+
+const inRange = (v, [min, max]) =>
+  typeof v === "number" && isFinite(v) && v >= min && v <= max;
+
+const CLOCK_RE = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const LOCAL_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const clockMinutes = (str) => {
+  const [h, m] = str.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// activeWindows is optional; when present every listed window must be a
+// valid HH:MM range and at least one weekday must have a window
+function validateActiveWindows(windows) {
+  if (windows == null) return [];
+  if (typeof windows !== "object") return ["Active hours are malformed."];
+  const errors = [];
+  let total = 0;
+  for (const [day, list] of Object.entries(windows)) {
+    if (!/^[0-6]$/.test(day) || !Array.isArray(list)) {
+      errors.push("Active hours are malformed.");
+      continue;
+    }
+    for (const w of list) {
+      if (!w || !CLOCK_RE.test(w.start) || !CLOCK_RE.test(w.end))
+        errors.push("Active hours must use HH:MM times (00:00-24:00).");
+      else if (clockMinutes(w.start) >= clockMinutes(w.end))
+        errors.push("Each active window must end after it starts.");
+      else total++;
+    }
+  }
+  if (!errors.length && total === 0)
+    errors.push("Active hours need at least one window, or leave them empty.");
+  return errors;
+}
+
+function validateBlackouts(blackouts) {
+  if (blackouts == null) return [];
+  if (!Array.isArray(blackouts)) return ["Blackouts must be a list."];
+  const errors = [];
+  for (const b of blackouts) {
+    if (
+      !b ||
+      !LOCAL_DATETIME_RE.test(b.start) ||
+      !LOCAL_DATETIME_RE.test(b.end)
+    )
+      errors.push("Blackouts must use YYYY-MM-DD HH:MM dates.");
+    else if (new Date(b.start) >= new Date(b.end))
+      errors.push("Each blackout must end after it starts.");
+  }
+  return errors;
+}
+
+// Returns a list of human-readable problems; empty when the plan is valid
+function validatePlan(plan) {
+  const errors = [];
+  if (!plan || typeof plan !== "object") return ["Plan is missing."];
+  const name = typeof plan.name === "string" ? plan.name.trim() : "";
+  if (!name) errors.push("Plan name is required.");
+  else if (name.length > PLAN_LIMITS.maxNameLength)
+    errors.push(
+      `Plan name must be ${PLAN_LIMITS.maxNameLength} characters or less.`
+    );
+  if (!Number.isInteger(plan.days) || !inRange(plan.days, PLAN_LIMITS.days))
+    errors.push(
+      `Days must be a whole number between ${PLAN_LIMITS.days.join(" and ")}.`
+    );
+  for (const key of ["minSessionsPerDay", "maxSessionsPerDay"]) {
+    if (
+      !Number.isInteger(plan[key]) ||
+      !inRange(plan[key], PLAN_LIMITS.sessionsPerDay)
+    )
+      errors.push(
+        `Sessions per day must be whole numbers between ${PLAN_LIMITS.sessionsPerDay.join(" and ")}.`
+      );
+  }
+  if (plan.minSessionsPerDay > plan.maxSessionsPerDay)
+    errors.push("Minimum sessions per day cannot exceed the maximum.");
+  for (const key of ["minBetweenHours", "maxBetweenHours"]) {
+    if (!inRange(plan[key], PLAN_LIMITS.betweenHours))
+      errors.push(
+        `Gaps between sessions must be between ${PLAN_LIMITS.betweenHours.join(" and ")} hours.`
+      );
+  }
+  if (plan.minBetweenHours > plan.maxBetweenHours)
+    errors.push("Minimum gap cannot exceed the maximum gap.");
+  if (!inRange(plan.maxWatchSeconds, PLAN_LIMITS.maxWatchSeconds))
+    errors.push(
+      `Watch cap must be between ${PLAN_LIMITS.maxWatchSeconds[0]} seconds and ${
+        PLAN_LIMITS.maxWatchSeconds[1] / 3600
+      } hours.`
+    );
+  if (!Array.isArray(plan.keywords)) errors.push("Keywords must be a list.");
+  else if (plan.keywords.length > PLAN_LIMITS.maxKeywords)
+    errors.push(`A plan can hold at most ${PLAN_LIMITS.maxKeywords} keywords.`);
+  else {
+    errors.push(...validateKeywordEntries(plan.keywords));
+    const minimums = plan.keywords.reduce(
+      (sum, k) => sum + (k.minPerDay || 0),
+      0
+    );
+    if (minimums > plan.maxSessionsPerDay)
+      errors.push(
+        "Keyword daily minimums add up to more than the sessions per day."
+      );
+  }
+  if (!MISSED_SESSION_POLICIES.includes(plan.missedSessionPolicy))
+    errors.push("Unknown missed-session policy.");
+  errors.push(...validateActiveWindows(plan.activeWindows));
+  errors.push(...validateBlackouts(plan.blackouts));
+  errors.push(...validateVariations(plan.variations));
+  errors.push(...validateRanking(plan.ranking));
+  errors.push(...validateShortsPolicy(plan.shorts));
+  errors.push(...validateBehaviorProfile(plan.behavior));
+  // Duplicate messages (e.g. both session fields invalid) are only shown once
+  return [...new Set(errors)];
+}
+
+// Coerce form/storage values into the plan shape used by the scheduler
+function normalizePlan(plan) {
+  return {
+    id: plan.id || null,
+    name: String(plan.name || "").trim(),
+    days: Number(plan.days),
+    minSessionsPerDay: Number(plan.minSessionsPerDay),
+    maxSessionsPerDay: Number(plan.maxSessionsPerDay),
+    minBetweenHours: Number(plan.minBetweenHours),
+    maxBetweenHours: Number(plan.maxBetweenHours),
+    maxWatchSeconds: Number(plan.maxWatchSeconds),
+    activeWindows: plan.activeWindows || null,
+    blackouts: plan.blackouts || [],
+    missedSessionPolicy: plan.missedSessionPolicy || "skip",
+    keywords: (plan.keywords || [])
+      .map(normalizeKeywordEntry)
+      .filter((k) => k.text),
+    // Plans saved before query variations existed get the defaults
+    variations: normalizeVariations(plan.variations),
+    ranking: normalizeRanking(plan.ranking),
+    shorts: normalizeShortsPolicy(plan.shorts),
+    behavior: normalizeBehaviorProfile(plan.behavior),
+  };
+}
+
+function readPlanStore(keys) {
+  return new Promise((r) => chrome.storage.local.get(keys, r));
+}
+function writePlanStore(obj) {
+  return new Promise((r) => chrome.storage.local.set(obj, r));
+}
+
+// Built-in plans first, then the user's saved plans
+async function getPlans() {
+  const s = await readPlanStore(["plans"]);
+  return [...BUILTIN_PLANS, ...(s.plans || [])];
+}
+
+async function getPlan(id) {
+  const plans = await getPlans();
+  return (
+    plans.find((p) => p.id === id) ||
+    plans.find((p) => p.id === DEFAULT_PLAN_ID)
+  );
+}
+
+async function getActivePlan() {
+  const s = await readPlanStore(["activePlanId"]);
+  return getPlan(s.activePlanId || DEFAULT_PLAN_ID);
+}
+
+async function setActivePlan(id) {
+  await writePlanStore({ activePlanId: id });
+}
+
+// Validate and persist a plan. Built-ins are never overwritten: saving one
+// creates a user copy. Throws with all validation problems joined.
+async function savePlan(input) {
+  const plan = normalizePlan(input);
+  const errors = validatePlan(plan);
+  if (errors.length) throw new Error(errors.join(" "));
+  const s = await readPlanStore(["plans"]);
+  const plans = s.plans || [];
+  const isBuiltin = BUILTIN_PLANS.some((p) => p.id === plan.id);
+  if (!plan.id || isBuiltin) plan.id = `plan-${Date.now()}`;
+  const idx = plans.findIndex((p) => p.id === plan.id);
+  if (idx >= 0) plans[idx] = plan;
+  else plans.push(plan);
+  await writePlanStore({ plans });
+  return plan;
+}
+
+async function deletePlan(id) {
+  if (BUILTIN_PLANS.some((p) => p.id === id))
+    throw new Error("Built-in plans cannot be deleted.");
+  const s = await readPlanStore(["plans", "activePlanId"]);
+  const plans = (s.plans || []).filter((p) => p.id !== id);
+  const update = { plans };
+  if (s.activePlanId === id) update.activePlanId = DEFAULT_PLAN_ID;
+  await writePlanStore(update);
+}
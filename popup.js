@@ -4,9 +4,17 @@ const DEFAULT = ["popular tech news", "trending music", "funny cat videos"];
 
 const $ = (id) => document.getElementById(id);
 
+// Plan currently selected in the popup (see plans.js)
+let activePlan = null;
+// Schedule shown before a scheduled boost starts; it is sent with the start
+// message so the run uses exactly what the user saw
+let previewSchedule = [];
+
 async function loadState() {
   const s = await new Promise((r) => chrome.storage.local.get(null, r));
-  const keywords = (s.keywords && s.keywords.join(", ")) || DEFAULT.join(", ");
+  const keywords = formatKeywordSpec(
+    s.keywords && s.keywords.length ? s.keywords : DEFAULT
+  );
   
   // Only update fields if they're not currently focused (user not typing)
   if (document.activeElement !== $("keywords")) {
@@ -15,15 +23,106 @@ async function loadState() {
   if (document.activeElement !== $("topic")) {
     $("topic").value = s.lastTopic || "";
   }
-  if (document.activeElement !== $("apiKey")) {
-    $("apiKey").value = s.apiKey ? "********" : "";
+  const keyField = currentKeyField();
+  if (document.activeElement !== $("apiKey") && keyField) {
+    $("apiKey").value = s[keyField] ? "********" : "";
   }
   
   updateStatus(s);
-  renderLogs(s.logs || []);
+  $("resumeBtn").hidden = !(s.isRunning && s.currentRun && s.currentRun.paused);
+  renderLogs(await querySessions({ limit: 10 }).catch(() => []));
   setRunningUI(!!s.isRunning);
+  updateSchedulePanel(s);
+}
+
+const currentMode = () => $("modeSelect").value;
+
+// "Sat 24 Oct  10:07 · 12:48" lines, one per local day
+function renderSchedule(title, timestamps, footer = "") {
+  $("scheduleTitle").textContent = title;
+  const days = new Map();
+  for (const ts of timestamps) {
+    const d = new Date(ts);
+    const key = d.toLocaleDateString(undefined, {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+    });
+    const time = d.toLocaleTimeString(undefined, {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    days.set(key, [...(days.get(key) || []), time]);
+  }
+  const lines = [...days].map(
+    ([day, times]) =>
+      `<div><span class="day">${day}</span>${times.join(" · ")}</div>`
+  );
+  if (!lines.length) lines.push("<div>No sessions scheduled.</div>");
+  if (footer) lines.push(`<div class="day">${footer}</div>`);
+  $("scheduleList").innerHTML = lines.join("");
+}
+
+function refreshPreview() {
+  const { schedule, dropped } = activePlan
+    ? planSchedule(Date.now(), activePlan)
+    : { schedule: [], dropped: 0 };
+  previewSchedule = schedule;
+  renderSchedule(
+    `Schedule preview (${previewSchedule.length} sessions${
+      dropped ? `; ${dropped} did not fit the active hours` : ""
+    })`,
+    previewSchedule
+  );
 }
 
+// Upcoming session times for the active run, straight from chrome.alarms
+async function renderUpcoming(runId) {
+  const alarms = await new Promise((r) => chrome.alarms.getAll(r));
+  const upcoming = alarms
+    .filter((a) => a.name.startsWith(`session-${runId}-`))
+    .map((a) => a.scheduledTime)
+    .sort((a, b) => a - b);
+  const end = alarms.find((a) => a.name === `end-${runId}`);
+  renderSchedule(
+    `Upcoming sessions (${upcoming.length})`,
+    upcoming,
+    end ? `Run ends ${new Date(end.scheduledTime).toLocaleString()}` : ""
+  );
+}
+
+function updateSchedulePanel(s) {
+  const running = !!s.isRunning;
+  $("modeSelect").disabled = running;
+  if (running)
+    $("modeSelect").value = s.immediateMode ? "immediate" : "scheduled";
+  // Leave the label alone while a start request is in flight
+  if (!$("startBtn").querySelector(".spinner"))
+    $("startBtn").textContent =
+      currentMode() === "scheduled" ? "Start Boost" : "Start Sessions";
+  if (running && !s.immediateMode) {
+    $("schedulePanel").hidden = false;
+    $("reshuffleBtn").hidden = true;
+    renderUpcoming(s.runId);
+  } else if (!running && currentMode() === "scheduled") {
+    $("schedulePanel").hidden = false;
+    $("reshuffleBtn").hidden = false;
+    if (!previewSchedule.length) refreshPreview();
+  } else {
+    $("schedulePanel").hidden = true;
+  }
+}
+
+$("modeSelect").addEventListener("change", async () => {
+  await new Promise((r) =>
+    chrome.storage.local.set({ mode: currentMode() }, r)
+  );
+  previewSchedule = [];
+  loadState();
+});
+
+$("reshuffleBtn").addEventListener("click", () => refreshPreview());
+
 // Small toast helper for animated notifications
 function showToast(msg, timeout = 4500, type = "") {
   const t = $("toast");
@@ -36,7 +135,7 @@ function showToast(msg, timeout = 4500, type = "") {
   t._hide = setTimeout(() => t.classList.remove("show"), timeout);
 }
 
-// Generate keywords using Gemini via background
+// Generate keywords with the selected provider (see providers.js)
 $("generateBtn").addEventListener("click", async () => {
   const topic = $("topic").value.trim();
   if (!topic)
@@ -48,32 +147,12 @@ $("generateBtn").addEventListener("click", async () => {
   // Save the last topic locally for convenience
   await new Promise((r) => chrome.storage.local.set({ lastTopic: topic }, r));
 
-  // Resolve API key: prefer explicit input, but allow masked to use stored key
-  let apiKeyInput = $("apiKey").value.trim();
-  let resolvedKey = "";
-  if (apiKeyInput === "********") {
-    const s = await new Promise((r) => chrome.storage.local.get(["apiKey"], r));
-    resolvedKey = s.apiKey || "";
-  } else if (apiKeyInput) {
-    resolvedKey = apiKeyInput;
-  }
-  if (!resolvedKey) {
-    showToast(
-      "No API key found. You can still type keywords manually below.",
-      4500,
-      "error"
-    );
-    // Focus on keywords textarea for manual entry
-    $("keywords").focus();
-    return;
-  }
-
   // Indicate loading state
   setRunningUI(true);
   $("generateBtn").disabled = true;
   $("generateBtn").innerHTML = 'Generating <span class="spinner"></span>';
 
-  // Make request to background which will call the API
+  // Make request to background which calls the selected provider
   chrome.runtime.sendMessage({ action: "generateKeywords", topic }, (resp) => {
     $("generateBtn").disabled = false;
     $("generateBtn").innerHTML = "Generate";
@@ -90,7 +169,7 @@ $("generateBtn").addEventListener("click", async () => {
     }
     if (resp.error) {
       showToast(
-        "API Error. Type keywords manually below: " + resp.error,
+        resp.error + " You can type keywords manually below.",
         6500,
         "error"
       );
@@ -100,26 +179,116 @@ $("generateBtn").addEventListener("click", async () => {
     const kws = (resp.keywords && resp.keywords.join(", ")) || "";
     if (kws) {
       $("keywords").value = kws;
-      showToast("Keywords generated successfully", 3800, "success");
+      const from = KEYWORD_PROVIDERS[resp.fallbackFrom];
+      showToast(
+        from
+          ? `Keywords generated offline (no ${from.label} key saved)`
+          : "Keywords generated successfully",
+        3800,
+        "success"
+      );
     } else {
       showToast("No keywords returned.", 4500, "error");
     }
   });
 });
 
-// Save API key button
+// Keyword provider picker; each provider has its own key and settings
+const currentProvider = () => $("providerSelect").value;
+const currentKeyField = () => {
+  const provider = KEYWORD_PROVIDERS[currentProvider()];
+  return provider ? provider.keyField : null;
+};
+
+async function loadProviderUI() {
+  const select = $("providerSelect");
+  if (!select.options.length) {
+    for (const [id, p] of Object.entries(KEYWORD_PROVIDERS))
+      select.appendChild(new Option(p.label, id));
+  }
+  const { id, settings, apiKey } = await getProviderConfig();
+  select.value = id;
+  showProviderFields(id, settings, apiKey);
+}
+
+function showProviderFields(id, settings, apiKey) {
+  const provider = KEYWORD_PROVIDERS[id];
+  $("baseUrlField").hidden = !("baseUrl" in provider.defaults);
+  $("modelField").hidden = !("model" in provider.defaults);
+  $("keyField").hidden = !provider.keyField;
+  $("providerBaseUrl").value = settings.baseUrl || "";
+  $("providerModel").value = settings.model || "";
+  $("providerModel").placeholder = provider.defaults.model || "Model name";
+  $("apiKeyLabel").textContent = `${provider.label} API key${
+    provider.keyRequired ? "" : " (optional)"
+  }`;
+  $("apiKey").value = apiKey ? "********" : "";
+  $("showKeyBtn").textContent = "Show";
+}
+
+$("providerSelect").addEventListener("change", async () => {
+  await new Promise((r) =>
+    chrome.storage.local.set({ keywordProvider: currentProvider() }, r)
+  );
+  loadProviderUI();
+});
+
+// Origins other than the default need a host permission before the
+// background may call them; asked here because it needs a user click
+function requestBaseUrlPermission(baseUrl) {
+  let origin;
+  try {
+    origin = new URL(baseUrl).origin;
+  } catch (e) {
+    return Promise.resolve(false);
+  }
+  return new Promise((r) =>
+    chrome.permissions.request({ origins: [`${origin}/*`] }, r)
+  );
+}
+
+// Save API key and provider settings
 $("saveKeyBtn").addEventListener("click", async () => {
+  const id = currentProvider();
+  const provider = KEYWORD_PROVIDERS[id];
+  const baseUrl = $("providerBaseUrl").value.trim();
+  const permission =
+    "baseUrl" in provider.defaults &&
+    baseUrl &&
+    baseUrl !== provider.defaults.baseUrl
+      ? requestBaseUrlPermission(baseUrl)
+      : Promise.resolve(true);
+
   const key = $("apiKey").value.trim();
-  if (!key) return showToast("Enter a key to save.", 3500, "error");
-  if (key === "********") return showToast("Key already saved.", 3000, "error");
-  await new Promise((r) => chrome.storage.local.set({ apiKey: key }, r));
-  $("apiKey").value = "********";
-  showToast("API key saved locally.", 3000, "success");
+  if (provider.keyRequired && !key)
+    return showToast("Enter a key to save.", 3500, "error");
+  const s = await new Promise((r) =>
+    chrome.storage.local.get(["providerSettings"], r)
+  );
+  const providerSettings = s.providerSettings || {};
+  const settings = {};
+  if ("model" in provider.defaults)
+    settings.model = $("providerModel").value.trim() || provider.defaults.model;
+  if ("baseUrl" in provider.defaults)
+    settings.baseUrl = baseUrl || provider.defaults.baseUrl;
+  providerSettings[id] = settings;
+  const update = { providerSettings, keywordProvider: id };
+  if (key && key !== "********") update[provider.keyField] = key;
+  await new Promise((r) => chrome.storage.local.set(update, r));
+  $("apiKey").value = key ? "********" : "";
+
+  if (!(await permission))
+    return showToast(
+      "Saved, but without access to that server generation will fail.",
+      5000,
+      "error"
+    );
+  showToast(`${provider.label} settings saved locally.`, 3000, "success");
 });
 
 // Clear API key button
 $("clearKeyBtn").addEventListener("click", async () => {
-  await new Promise((r) => chrome.storage.local.remove(["apiKey"], r));
+  await new Promise((r) => chrome.storage.local.remove([currentKeyField()], r));
   $("apiKey").value = "";
   $("showKeyBtn").textContent = "Show";
   showToast("API key cleared.", 3000, "success");
@@ -128,10 +297,11 @@ $("clearKeyBtn").addEventListener("click", async () => {
 // Show/Hide API key
 $("showKeyBtn").addEventListener("click", async () => {
   const cur = $("apiKey").value;
+  const keyField = currentKeyField();
   if (cur === "********") {
-    const s = await new Promise((r) => chrome.storage.local.get(["apiKey"], r));
-    if (s.apiKey) {
-      $("apiKey").value = s.apiKey;
+    const s = await new Promise((r) => chrome.storage.local.get([keyField], r));
+    if (s[keyField]) {
+      $("apiKey").value = s[keyField];
       $("showKeyBtn").textContent = "Hide";
     } else showToast("No key saved.", 3000, "error");
   } else {
@@ -143,29 +313,205 @@ function updateStatus(s) {
   const isRunning = s.isRunning;
   const daysCompleted = s.daysCompleted || 0;
   const startTs = s.startTs ? new Date(s.startTs).toLocaleString() : "—";
-  const keywords = (s.keywords || DEFAULT).slice(0, 5).join(", ");
-  $("status").textContent = isRunning
-    ? `Running — Day ${daysCompleted}/${7} • Keywords: ${keywords}`
+  const keywords = (s.keywords || DEFAULT)
+    .slice(0, 5)
+    .map(keywordText)
+    .join(", ");
+  // Prefer the plan snapshot the run started with over the selected plan
+  const plan = (s.currentRun && s.currentRun.plan) || activePlan;
+  const days = plan ? plan.days : "—";
+  const paused = isRunning && s.currentRun && s.currentRun.paused;
+  $("status").textContent = paused
+    ? `Paused — ${paused.reason}`
+    : isRunning
+    ? `Running — Day ${daysCompleted}/${days} • Keywords: ${keywords}`
     : `Idle — last started: ${startTs}`;
 }
 
-function renderLogs(logs) {
+// Fill the plan dropdown and editor from storage
+async function loadPlans() {
+  const plans = await getPlans();
+  activePlan = await getActivePlan();
+  const select = $("planSelect");
+  select.innerHTML = "";
+  for (const p of plans) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.builtin ? p.name : `${p.name} (saved)`;
+    select.appendChild(opt);
+  }
+  select.value = activePlan.id;
+  $("deletePlanBtn").disabled = !!activePlan.builtin;
+  fillPlanEditor(activePlan);
+  // A different plan means a different schedule
+  previewSchedule = [];
+}
+
+function fillPlanEditor(plan) {
+  $("planName").value = plan.name;
+  $("planDays").value = plan.days;
+  $("planWatchMin").value = Math.round(plan.maxWatchSeconds / 60);
+  $("planSessionsMin").value = plan.minSessionsPerDay;
+  $("planSessionsMax").value = plan.maxSessionsPerDay;
+  $("planGapMin").value = plan.minBetweenHours;
+  $("planGapMax").value = plan.maxBetweenHours;
+  $("planWindows").value = formatWindowSpec(plan.activeWindows);
+  $("planBlackouts").value = formatBlackoutSpec(plan.blackouts);
+  $("planMissed").value = plan.missedSessionPolicy || "skip";
+  const variations = normalizeVariations(plan.variations);
+  $("planVariations").value = formatVariationSpec(variations.rules);
+  if (!$("planLanguage").options.length) {
+    for (const lang of Object.keys(QUERY_MODIFIERS))
+      $("planLanguage").appendChild(new Option(lang, lang));
+  }
+  $("planLanguage").value = variations.language;
+  $("planNoRepeat").value = variations.noRepeatWithin;
+  const ranking = normalizeRanking(plan.ranking);
+  $("planRankRelevance").value = ranking.relevance;
+  $("planRankLongForm").value = ranking.longForm;
+  $("planRankRecent").value = ranking.recent;
+  $("planRankRandomness").value = ranking.randomness;
+  $("planSkipLive").checked = ranking.skipLive;
+  const shorts = normalizeShortsPolicy(plan.shorts);
+  $("planShortsPolicy").value = shorts.policy;
+  $("planShortsCap").value = shorts.maxPerSession;
+  if (!$("planBehavior").options.length) {
+    for (const id of BEHAVIOR_PROFILE_IDS)
+      $("planBehavior").appendChild(
+        new Option(BEHAVIOR_PROFILES[id].label, id)
+      );
+  }
+  $("planBehavior").value = normalizeBehaviorProfile(plan.behavior);
+  $("subtitle").textContent = `${plan.days}-day personalized watch boost`;
+  $("planMeta").textContent = `Plan: ${plan.name} • ${plan.minSessionsPerDay}-${
+    plan.maxSessionsPerDay
+  } sessions/day • Max watch ${Math.round(plan.maxWatchSeconds / 60)} min`;
+}
+
+// Keyword entries from the textarea (see keywords.js for the syntax)
+function readKeywordsInput() {
+  return parseKeywordSpec($("keywords").value).keywords.slice(0, 20);
+}
+
+$("planSelect").addEventListener("change", async () => {
+  await setActivePlan($("planSelect").value);
+  await loadPlans();
+  if (activePlan.keywords && activePlan.keywords.length)
+    $("keywords").value = formatKeywordSpec(activePlan.keywords);
+});
+
+$("savePlanBtn").addEventListener("click", async () => {
+  const { windows, errors: windowErrors } = parseWindowSpec(
+    $("planWindows").value
+  );
+  const { blackouts, errors: blackoutErrors } = parseBlackoutSpec(
+    $("planBlackouts").value
+  );
+  const { rules, errors: variationErrors } = parseVariationSpec(
+    $("planVariations").value
+  );
+  const specErrors = [...windowErrors, ...blackoutErrors, ...variationErrors];
+  if (specErrors.length) return showToast(specErrors.join(" "), 6500, "error");
+  const plan = {
+    id: activePlan && !activePlan.builtin ? activePlan.id : null,
+    name: $("planName").value,
+    days: Number($("planDays").value),
+    maxWatchSeconds: Number($("planWatchMin").value) * 60,
+    minSessionsPerDay: Number($("planSessionsMin").value),
+    maxSessionsPerDay: Number($("planSessionsMax").value),
+    minBetweenHours: Number($("planGapMin").value),
+    maxBetweenHours: Number($("planGapMax").value),
+    activeWindows: windows,
+    blackouts,
+    missedSessionPolicy: $("planMissed").value,
+    keywords: readKeywordsInput(),
+    variations: {
+      ...normalizeVariations(activePlan && activePlan.variations),
+      language: $("planLanguage").value,
+      noRepeatWithin: Number($("planNoRepeat").value),
+      rules,
+    },
+    ranking: {
+      relevance: Number($("planRankRelevance").value),
+      longForm: Number($("planRankLongForm").value),
+      recent: Number($("planRankRecent").value),
+      randomness: Number($("planRankRandomness").value),
+      skipLive: $("planSkipLive").checked,
+    },
+    shorts: {
+      policy: $("planShortsPolicy").value,
+      maxPerSession: Number($("planShortsCap").value),
+    },
+    behavior: $("planBehavior").value,
+  };
+  try {
+    const saved = await savePlan(plan);
+    await setActivePlan(saved.id);
+    await loadPlans();
+    showToast(`Plan "${saved.name}" saved.`, 3000, "success");
+  } catch (err) {
+    showToast(err.message, 6500, "error");
+  }
+});
+
+$("deletePlanBtn").addEventListener("click", async () => {
+  if (!activePlan || activePlan.builtin) return;
+  try {
+    await deletePlan(activePlan.id);
+    await loadPlans();
+    showToast("Plan deleted.", 3000, "success");
+  } catch (err) {
+    showToast(err.message, 4500, "error");
+  }
+});
+
+const escapeHtml = (str) =>
+  String(str).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+// Render the latest session records from history (see history.js)
+function renderLogs(records) {
   const el = $("logs");
-  if (!logs.length) {
+  if (!records.length) {
     el.textContent = "No logs yet.";
     return;
   }
-  const shown = logs.slice(0, 10);
-  el.innerHTML = shown
-    .map((l) => {
-      const time = l.ts
-        ? new Date(l.ts).toLocaleString()
-        : new Date().toLocaleString();
-      if (l.success)
-        return `<div class="log-item">✅ ${time} — "${
-          l.keyword
-        }" watched ${Math.round(l.watchSeconds)}s</div>`;
-      return `<div class="log-item">⚠️ ${time} — ${l.error || "failed"}</div>`;
+  el.innerHTML = records
+    .map((r) => {
+      const time = new Date(r.startedAt).toLocaleString();
+      const skipped = (r.skipped || []).length
+        ? `<div class="tip" title="${escapeHtml(
+            r.skipped
+              .map((v) => `${v.title || v.videoId}: ${v.reason}`)
+              .join("\n")
+          )}">Skipped ${r.skipped.length} by filters</div>`
+        : "";
+      const actions = (r.actions || []).length
+        ? `<div class="tip">${escapeHtml(
+            r.actions
+              .map((a) => `${a.type} ${a.title || a.videoId}`)
+              .join(", ")
+          )}</div>`
+        : "";
+      if (r.type === "negative" && r.outcome === "success") {
+        const dry = r.actions.some((a) => a.dryRun);
+        return `<div class="log-item">🚫 ${time} — negative training: ${
+          r.actions.length
+        } ${dry ? "found (dry run)" : "dismissed"}${actions}</div>`;
+      }
+      if (r.outcome === "success")
+        return `<div class="log-item">✅ ${time} — "${escapeHtml(
+          r.query || r.keyword
+        )}" watched ${r.watchSeconds}s (${r.videos.length} videos)${skipped}${actions}</div>`;
+      const icon = { timeout: "⏱️", missed: "ℹ️" }[r.outcome] || "⚠️";
+      return `<div class="log-item">${icon} ${time} — ${escapeHtml(
+        r.error || "failed"
+      )}${skipped}${actions}</div>`;
     })
     .join("");
 }
@@ -189,11 +535,12 @@ $("startBtn").addEventListener("click", async (event) => {
     return;
   }
 
-  const kw = raw
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean)
-    .slice(0, 20);
+  const { keywords: parsed, errors: keywordErrors } = parseKeywordSpec(raw);
+  if (keywordErrors.length) {
+    showToast(keywordErrors.join(" "), 6500, "error");
+    return;
+  }
+  const kw = parsed.slice(0, 20);
 
   if (kw.length === 0) {
     showToast(
@@ -211,13 +558,28 @@ $("startBtn").addEventListener("click", async (event) => {
   // Save keywords
   await new Promise((r) => chrome.storage.local.set({ keywords: kw }, r));
 
-  // Send start message for IMMEDIATE sessions
-  chrome.runtime.sendMessage({ action: "startImmediate", keywords: kw }, (res) => {
-    $("startBtn").innerHTML = "Start Sessions";
+  // Scheduled boosts follow the plan using the previewed schedule; immediate
+  // mode starts sessions right away
+  const scheduled = currentMode() === "scheduled";
+  const startMsg = scheduled
+    ? { action: "start", schedule: previewSchedule }
+    : { action: "startImmediate" };
+  startMsg.keywords = kw;
+  startMsg.planId = activePlan && activePlan.id;
+  chrome.runtime.sendMessage(startMsg, (res) => {
+    $("startBtn").innerHTML = scheduled ? "Start Boost" : "Start Sessions";
     if (res && res.status === "started") {
-      showToast(`Sessions started with ${kw.length} keywords!`, 2500, "success");
+      showToast(
+        scheduled
+          ? `Boost scheduled: ${previewSchedule.length} sessions.`
+          : `Sessions started with ${kw.length} keywords!`,
+        2500,
+        "success"
+      );
       // Close immediately after brief feedback
       setTimeout(() => window.close(), 300);
+    } else if (res && res.status === "alreadyRunning") {
+      showToast("A boost is already running.", 4000, "error");
     } else {
       showToast("Failed to start sessions. Try again.", 4000, "error");
       setRunningUI(false);
@@ -241,14 +603,206 @@ $("keywords").addEventListener("keydown", (event) => {
   }
 });
 
+$("dashboardBtn").addEventListener("click", async () => {
+  const { currentRun } = await new Promise((r) =>
+    chrome.storage.local.get(["currentRun"], r)
+  );
+  const query = currentRun ? `?run=${encodeURIComponent(currentRun.id)}` : "";
+  chrome.tabs.create({ url: chrome.runtime.getURL(`dashboard.html${query}`) });
+});
+
+$("diagnoseBtn").addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("diagnose.html?run=1") });
+});
+
+// Video block/allowlists (see filters.js)
+async function loadFilters() {
+  const { videoFilters } = await new Promise((r) =>
+    chrome.storage.local.get(["videoFilters"], r)
+  );
+  const f = normalizeFilters(videoFilters);
+  $("filterBlock").value = formatFilterSpec(f.block);
+  $("filterAllow").value = formatFilterSpec(f.allow);
+  $("filterAllowOnly").checked = f.allowOnly;
+}
+
+$("saveFiltersBtn").addEventListener("click", async () => {
+  const block = parseFilterSpec($("filterBlock").value);
+  const allow = parseFilterSpec($("filterAllow").value);
+  const errors = [...block.errors, ...allow.errors];
+  if (errors.length) return showToast(errors.join(" "), 6500, "error");
+  const videoFilters = normalizeFilters({
+    block: block.rules,
+    allow: allow.rules,
+    allowOnly: $("filterAllowOnly").checked,
+  });
+  if (
+    videoFilters.allowOnly &&
+    !Object.values(videoFilters.allow).some((list) => list.length)
+  )
+    return showToast(
+      "Add allowlist rules before limiting sessions to them.",
+      4500,
+      "error"
+    );
+  await new Promise((r) => chrome.storage.local.set({ videoFilters }, r));
+  showToast("Video filters saved.", 3000, "success");
+});
+
+// Engagement settings (see engagement.js); field ids per action setting
+const ENGAGEMENT_FIELDS = {
+  like: {
+    enabled: "engLike",
+    minPercent: "engLikePercent",
+    maxPerDay: "engLikeMax",
+  },
+  watchLater: { enabled: "engWatchLater", maxPerDay: "engWatchLaterMax" },
+  subscribe: {
+    enabled: "engSubscribe",
+    afterSightings: "engSubscribeAfter",
+    maxPerDay: "engSubscribeMax",
+  },
+  description: { enabled: "engDescription", maxPerDay: "engDescriptionMax" },
+};
+
+async function loadEngagement() {
+  const { engagement } = await new Promise((r) =>
+    chrome.storage.local.get(["engagement"], r)
+  );
+  const e = normalizeEngagement(engagement);
+  for (const [action, fields] of Object.entries(ENGAGEMENT_FIELDS)) {
+    for (const [key, id] of Object.entries(fields)) {
+      if (key === "enabled") $(id).checked = e[action].enabled;
+      else $(id).value = e[action][key];
+    }
+  }
+  $("engKeywords").value = e.keywords.join(", ");
+}
+
+$("saveEngagementBtn").addEventListener("click", async () => {
+  const input = { keywords: $("engKeywords").value.split(",") };
+  for (const [action, fields] of Object.entries(ENGAGEMENT_FIELDS)) {
+    input[action] = {};
+    for (const [key, id] of Object.entries(fields))
+      input[action][key] =
+        key === "enabled" ? $(id).checked : Number($(id).value);
+  }
+  const engagement = normalizeEngagement(input);
+  const errors = validateEngagement(engagement);
+  if (errors.length) return showToast(errors.join(" "), 6500, "error");
+  await new Promise((r) => chrome.storage.local.set({ engagement }, r));
+  showToast("Engagement settings saved.", 3000, "success");
+});
+
+// Negative training settings (see negative.js)
+async function loadNegativeTraining() {
+  const { negativeTraining } = await new Promise((r) =>
+    chrome.storage.local.get(["negativeTraining"], r)
+  );
+  const n = normalizeNegativeTraining(negativeTraining);
+  $("negRules").value = formatFilterSpec(n.rules);
+  $("negMaxPerDay").value = n.maxPerDay;
+  $("negMaxPerSession").value = n.maxPerSession;
+  $("negEveryNth").value = n.everyNthSession;
+  $("negDryRun").checked = n.dryRun;
+}
+
+// Validates and stores the form; returns false (after a toast) on errors
+async function saveNegativeTraining() {
+  const { rules, errors: ruleErrors } = parseFilterSpec($("negRules").value);
+  if (rules.video.length) ruleErrors.push("video: rules don't apply here.");
+  const negativeTraining = normalizeNegativeTraining({
+    rules,
+    maxPerDay: Number($("negMaxPerDay").value),
+    maxPerSession: Number($("negMaxPerSession").value),
+    everyNthSession: Number($("negEveryNth").value),
+    dryRun: $("negDryRun").checked,
+  });
+  const errors = [
+    ...ruleErrors,
+    ...validateNegativeTraining(negativeTraining),
+  ];
+  if (errors.length) {
+    showToast(errors.join(" "), 6500, "error");
+    return false;
+  }
+  await new Promise((r) => chrome.storage.local.set({ negativeTraining }, r));
+  return true;
+}
+
+$("saveNegativeBtn").addEventListener("click", async () => {
+  if (await saveNegativeTraining())
+    showToast("Negative training saved.", 3000, "success");
+});
+
+$("runNegativeBtn").addEventListener("click", async () => {
+  if (!(await saveNegativeTraining())) return;
+  chrome.runtime.sendMessage({ action: "startNegative" }, (res) => {
+    if (res && res.error) showToast(res.error, 4500, "error");
+    else showToast("Negative training started.", 3000, "success");
+  });
+});
+
+// What to do at consent walls, sign-in prompts, age gates, ads and bot
+// checks (see interstitials.js)
+const INTERSTITIAL_FIELDS = {
+  consent: "intConsent",
+  signIn: "intSignIn",
+  ageGate: "intAgeGate",
+  ads: "intAds",
+  botCheck: "intBotCheck",
+};
+
+async function loadInterstitials() {
+  const { interstitials } = await new Promise((r) =>
+    chrome.storage.local.get(["interstitials"], r)
+  );
+  const settings = normalizeInterstitials(interstitials);
+  for (const [kind, id] of Object.entries(INTERSTITIAL_FIELDS))
+    $(id).value = settings[kind];
+}
+
+$("saveInterstitialsBtn").addEventListener("click", async () => {
+  const input = {};
+  for (const [kind, id] of Object.entries(INTERSTITIAL_FIELDS))
+    input[kind] = $(id).value;
+  const interstitials = normalizeInterstitials(input);
+  await new Promise((r) => chrome.storage.local.set({ interstitials }, r));
+  showToast("Interstitial settings saved.", 3000, "success");
+});
+
+$("resumeBtn").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ action: "resumeRun" }, () => {
+    showToast("Run resumed.", 3000, "success");
+    loadState();
+  });
+});
+
 // Clear logs button
 $("clearLogsBtn").addEventListener("click", async () => {
-  await new Promise((r) => chrome.storage.local.set({ logs: [] }, r));
+  // The session history also feeds the dashboard, run timeline and exports
+  if (
+    !confirm(
+      "Delete all session history? The dashboard, run timeline and exports use it."
+    )
+  )
+    return;
+  await clearHistory();
   loadState();
 });
 
 // Update UI when popup opens
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  const { mode } = await new Promise((r) =>
+    chrome.storage.local.get(["mode"], r)
+  );
+  $("modeSelect").value = mode || "immediate";
+  await loadPlans();
+  await loadProviderUI();
+  await loadFilters();
+  await loadEngagement();
+  await loadNegativeTraining();
+  await loadInterstitials();
   loadState();
   // subtle entrance animation
   const c = document.querySelector(".container");
@@ -0,0 +1,267 @@
+// Keyword generation providers. Each adapter turns a topic into a list of
+// search phrases; failures are thrown as provider errors carrying a `code`
+// (see providerError) so the popup can say what actually went wrong.
+// Used by the background worker; the popup reads the provider list and
+// settings from here too.
+//
+// Storage: `keywordProvider` (id), `providerSettings` ({ [id]: settings })
+// and one top-level key per provider API key (KEYWORD_PROVIDERS[id].keyField).
+
+const PROVIDER_TIMEOUT_MS = 20000;
+const MAX_GENERATED_KEYWORDS = 12;
+
+const KEYWORD_PROVIDERS = {
+  gemini: {
+    label: "Gemini",
+    keyField: "apiKey",
+    keyRequired: true,
+    defaults: { model: "gemini-2.0-flash" },
+    generate: geminiKeywords,
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    keyField: "openaiApiKey",
+    // Local servers (Ollama, llama.cpp) usually run without a key
+    keyRequired: false,
+    defaults: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini" },
+    generate: openAiKeywords,
+  },
+  offline: {
+    label: "Offline (no network)",
+    keyField: null,
+    keyRequired: false,
+    defaults: {},
+    generate: offlineKeywords,
+  },
+};
+
+// code is one of: auth, rate_limit, bad_request, config,
+// server, network, timeout, blocked, bad_response, empty
+function providerError(provider, code, message, status = null) {
+  const label = KEYWORD_PROVIDERS[provider]
+    ? KEYWORD_PROVIDERS[provider].label
+    : provider;
+  const err = new Error(`${label}: ${message}`);
+  err.code = code;
+  err.provider = provider;
+  err.status = status;
+  return err;
+}
+
+function keywordPrompt(topic) {
+  return `Generate 8-12 concise YouTube search keywords for the topic: "${topic}". Output one keyword phrase per line, no numbering and no extra commentary.`;
+}
+
+// Lines or comma-separated items, without list markers or quotes
+function parseKeywordList(text) {
+  const items = String(text)
+    .split(/[\n,]+/)
+    .map((s) =>
+      s
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "")
+        .replace(/^["'`]+|["'`]+$/g, "")
+        .trim()
+    )
+    .filter((s) => s && s.length <= 80);
+  const seen = new Set();
+  return items
+    .filter((s) => {
+      const key = s.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_GENERATED_KEYWORDS);
+}
+
+// fetch with a timeout; network failures and non-2xx answers become provider
+// errors with the server's own message where it sent one
+async function providerFetch(provider, url, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(url, {
+      ...options,
+      cache: "no-store",
+      signal: controller.signal,
+    });
+  } catch (e) {
+    if (e.name === "AbortError")
+      throw providerError(
+        provider,
+        "timeout",
+        `No answer within ${PROVIDER_TIMEOUT_MS / 1000}s.`
+      );
+    throw providerError(
+      provider,
+      "network",
+      `Could not reach ${new URL(url).host} (${e.message}).`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+  if (res.ok) {
+    try {
+      return await res.json();
+    } catch (e) {
+      throw providerError(provider, "bad_response", "Response was not JSON.");
+    }
+  }
+  let detail = "";
+  try {
+    const body = await res.json();
+    detail = (body.error && (body.error.message || body.error)) || "";
+  } catch (e) {
+    // no JSON error body
+  }
+  const status = res.status;
+  // Gemini answers a bad key with 400 INVALID_ARGUMENT
+  const keyRejected = status === 400 && /api key/i.test(String(detail));
+  const code =
+    status === 401 || status === 403 || keyRejected
+      ? "auth"
+      : status === 404
+        ? "config"
+        : status === 429
+          ? "rate_limit"
+          : status >= 500
+            ? "server"
+            : "bad_request";
+  const fallback = {
+    auth: "The API key was rejected.",
+    config: "Model or endpoint not found. Check the provider settings.",
+    rate_limit: "Rate limit or quota exceeded. Try again later.",
+    server: "The provider had a server error.",
+    bad_request: "The request was rejected.",
+  }[code];
+  throw providerError(
+    provider,
+    code,
+    `${detail ? String(detail) : fallback} (HTTP ${status})`,
+    status
+  );
+}
+
+function requireKeywords(provider, text) {
+  const keywords = parseKeywordList(text || "");
+  if (!keywords.length)
+    throw providerError(provider, "empty", "No keywords in the response.");
+  return keywords;
+}
+
+// Gemini generateContent (v1beta)
+async function geminiKeywords(topic, settings, apiKey) {
+  const model = encodeURIComponent(settings.model);
+  const json = await providerFetch(
+    "gemini",
+    `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-goog-api-key": apiKey,
+      },
+      body: JSON.stringify({
+        contents: [{ role: "user", parts: [{ text: keywordPrompt(topic) }] }],
+        generationConfig: { temperature: 0.8, maxOutputTokens: 256 },
+      }),
+    }
+  );
+  if (json.promptFeedback && json.promptFeedback.blockReason)
+    throw providerError(
+      "gemini",
+      "blocked",
+      `Prompt was blocked (${json.promptFeedback.blockReason}).`
+    );
+  const candidate = json.candidates && json.candidates[0];
+  if (!candidate || !candidate.content || !candidate.content.parts)
+    throw providerError(
+      "gemini",
+      "bad_response",
+      candidate && candidate.finishReason
+        ? `No text returned (finish reason ${candidate.finishReason}).`
+        : "Unexpected response shape."
+    );
+  return requireKeywords(
+    "gemini",
+    candidate.content.parts.map((p) => p.text || "").join("\n")
+  );
+}
+
+// OpenAI chat completions; also Ollama, llama.cpp and other compatible
+// servers at their own base URL
+async function openAiKeywords(topic, settings, apiKey) {
+  const baseUrl = String(settings.baseUrl || "").replace(/\/+$/, "");
+  if (!/^https?:\/\//.test(baseUrl))
+    throw providerError(
+      "openai",
+      "config",
+      "Base URL must start with http(s)://."
+    );
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const json = await providerFetch("openai", `${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model: settings.model,
+      temperature: 0.8,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You suggest YouTube search phrases. Reply with the list only.",
+        },
+        { role: "user", content: keywordPrompt(topic) },
+      ],
+    }),
+  });
+  const choice = json.choices && json.choices[0];
+  if (!choice || !choice.message)
+    throw providerError("openai", "bad_response", "Unexpected response shape.");
+  return requireKeywords("openai", choice.message.content);
+}
+
+// No network: the local expander (expander.js). settings.seed pins the
+// output, otherwise every click gives a different mix.
+async function offlineKeywords(topic, settings) {
+  return expandTopic(topic, { seed: settings.seed || undefined });
+}
+
+// Selected provider and its settings merged over the defaults. Without an
+// explicit choice, Gemini is used when a Gemini key is stored.
+async function getProviderConfig() {
+  const s = await new Promise((r) =>
+    chrome.storage.local.get(
+      ["keywordProvider", "providerSettings", "apiKey", "openaiApiKey"],
+      r
+    )
+  );
+  const id =
+    s.keywordProvider && KEYWORD_PROVIDERS[s.keywordProvider]
+      ? s.keywordProvider
+      : s.apiKey
+        ? "gemini"
+        : "offline";
+  const provider = KEYWORD_PROVIDERS[id];
+  const stored = (s.providerSettings || {})[id] || {};
+  return {
+    id,
+    settings: { ...provider.defaults, ...stored },
+    apiKey: provider.keyField ? s[provider.keyField] || null : null,
+  };
+}
+
+// A provider that needs a key but has none falls back to the offline
+// expander; fallbackFrom tells the popup that happened
+async function generateKeywordsWithProvider(topic) {
+  const { id, settings, apiKey } = await getProviderConfig();
+  const provider = KEYWORD_PROVIDERS[id];
+  if (provider.keyRequired && !apiKey) {
+    const keywords = await offlineKeywords(topic, {});
+    return { provider: "offline", fallbackFrom: id, keywords };
+  }
+  const keywords = await provider.generate(topic, settings, apiKey);
+  return { provider: id, keywords };
+}
@@ -0,0 +1,182 @@
+// Query variation: how a keyword becomes the search query a session types.
+// Rules are plan data (plan.variations), so each keyword set has its own.
+// The background picks the query before the session starts and passes it to
+// content.js, so every query is known and logged up front.
+//
+// plan.variations = {
+//   language: "en",          // modifier list and month names
+//   noRepeatWithin: 3,       // sessions of that keyword before the same
+//                            // query may repeat
+//   modifiers: null,         // custom {modifier} list, else the language's
+//   rules: [{ template: "{keyword} {year}", weight: 1 }],
+// }
+// Template tokens: {keyword}, {year}, {month}, {modifier}.
+
+const QUERY_TOKENS = ["keyword", "year", "month", "modifier"];
+
+const QUERY_MODIFIERS = {
+  en: ["explained", "guide", "review", "tips", "highlights", "tutorial"],
+  de: ["erklärt", "anleitung", "test", "tipps", "highlights", "tutorial"],
+  es: ["explicado", "guía", "reseña", "consejos", "resumen", "tutorial"],
+  fr: ["expliqué", "guide", "avis", "astuces", "résumé", "tutoriel"],
+  pt: ["explicado", "guia", "review", "dicas", "resumo", "tutorial"],
+  it: ["spiegato", "guida", "recensione", "consigli", "riassunto", "tutorial"],
+};
+
+const DEFAULT_QUERY_VARIATIONS = {
+  language: "en",
+  noRepeatWithin: 3,
+  modifiers: null,
+  rules: [
+    { template: "{keyword}", weight: 4 },
+    { template: "{keyword} {modifier}", weight: 3 },
+    { template: "{keyword} {year}", weight: 1 },
+    { template: "{keyword} {month} {year}", weight: 1 },
+  ],
+};
+
+const QUERY_LIMITS = { noRepeatWithin: [0, 50], weight: [0.1, 100] };
+
+function normalizeVariations(variations) {
+  const v = variations || DEFAULT_QUERY_VARIATIONS;
+  return {
+    language: v.language || DEFAULT_QUERY_VARIATIONS.language,
+    noRepeatWithin: Number(v.noRepeatWithin ?? 0),
+    modifiers:
+      Array.isArray(v.modifiers) && v.modifiers.length
+        ? v.modifiers.map((m) => String(m).trim()).filter(Boolean)
+        : null,
+    rules: (v.rules || []).map((r) => ({
+      template: String(r.template || "").trim(),
+      weight: Number(r.weight ?? 1),
+    })),
+  };
+}
+
+function validateVariations(v) {
+  const errors = [];
+  if (!v || typeof v !== "object") return ["Query variations are missing."];
+  if (!QUERY_MODIFIERS[v.language])
+    errors.push(
+      `Query language must be one of ${Object.keys(QUERY_MODIFIERS).join(", ")}.`
+    );
+  if (
+    !Number.isInteger(v.noRepeatWithin) ||
+    !inRange(v.noRepeatWithin, QUERY_LIMITS.noRepeatWithin)
+  )
+    errors.push(
+      `"No repeat within" must be a whole number between ${QUERY_LIMITS.noRepeatWithin.join(" and ")}.`
+    );
+  if (!Array.isArray(v.rules) || !v.rules.length)
+    return [...errors, "Add at least one query variation."];
+  for (const rule of v.rules) {
+    if (!rule.template.includes("{keyword}"))
+      errors.push(`Variation "${rule.template}" must contain {keyword}.`);
+    const unknown = (rule.template.match(/\{(\w+)\}/g) || []).filter(
+      (t) => !QUERY_TOKENS.includes(t.slice(1, -1))
+    );
+    if (unknown.length)
+      errors.push(`Unknown token ${unknown[0]} in "${rule.template}".`);
+    if (!inRange(rule.weight, QUERY_LIMITS.weight))
+      errors.push(
+        `Variation weights must be between ${QUERY_LIMITS.weight.join(" and ")}.`
+      );
+  }
+  return errors;
+}
+
+// Popup syntax: one template per line, optional "*weight" suffix
+//   {keyword}            *4
+//   {keyword} {modifier} *3
+function parseVariationSpec(text) {
+  const rules = [];
+  const errors = [];
+  for (const raw of String(text).split("\n")) {
+    const line = raw.trim();
+    if (!line) continue;
+    const m = line.match(/^(.*?)(?:\s*\*\s*([\d.]+))?$/);
+    const weight = m[2] === undefined ? 1 : Number(m[2]);
+    if (!m[1] || !isFinite(weight)) {
+      errors.push(`Can't read variation "${line}".`);
+      continue;
+    }
+    rules.push({ template: m[1].replace(/\s+/g, " "), weight });
+  }
+  return { rules, errors };
+}
+
+function formatVariationSpec(rules) {
+  return rules
+    .map((r) => (r.weight === 1 ? r.template : `${r.template} *${r.weight}`))
+    .join("\n");
+}
+
+// Every concrete query the rules can produce for a keyword, with weights.
+// A {modifier} rule splits its weight over the modifiers.
+function queryCandidates(keyword, variations, now = Date.now()) {
+  const v = normalizeVariations(variations);
+  const date = new Date(now);
+  const month = date.toLocaleString(v.language, { month: "long" });
+  const modifiers = v.modifiers || QUERY_MODIFIERS[v.language] || [];
+  const byQuery = new Map();
+  for (const rule of v.rules) {
+    const base = rule.template
+      .replace(/\{keyword\}/g, () => keyword)
+      .replace(/\{year\}/g, String(date.getFullYear()))
+      .replace(/\{month\}/g, month);
+    const filled = base.includes("{modifier}")
+      ? modifiers.map((m) => base.replace(/\{modifier\}/g, () => m))
+      : [base];
+    for (const q of filled) {
+      const query = q.replace(/\s+/g, " ").trim();
+      byQuery.set(
+        query,
+        (byQuery.get(query) || 0) + rule.weight / filled.length
+      );
+    }
+  }
+  return [...byQuery.entries()].map(([query, weight]) => ({ query, weight }));
+}
+
+function weightedPick(items, rng) {
+  const total = items.reduce((sum, x) => sum + x.weight, 0);
+  let r = rng.next() * total;
+  for (const item of items) {
+    r -= item.weight;
+    if (r < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+// A run's recent queries, kept per keyword so one keyword's variations don't
+// push another's out of its no-repeat window:
+//   { [keyword]: ["query", ...] }, oldest first
+// Runs from before the per-keyword memory stored one list; it is dropped.
+function recentQueriesFor(memory, keyword) {
+  return (memory && !Array.isArray(memory) && memory[keyword]) || [];
+}
+
+function rememberQuery(memory, keyword, query) {
+  const byKeyword = memory && !Array.isArray(memory) ? memory : {};
+  return {
+    ...byKeyword,
+    [keyword]: [...recentQueriesFor(byKeyword, keyword), query].slice(
+      -QUERY_LIMITS.noRepeatWithin[1]
+    ),
+  };
+}
+
+// Weighted choice that skips the last noRepeatWithin queries; when every
+// candidate was used recently, the one used longest ago wins
+function chooseQuery(keyword, variations, recent = [], rng = createRng()) {
+  const v = normalizeVariations(variations);
+  const candidates = queryCandidates(keyword, v);
+  if (!candidates.length) return keyword;
+  const blocked = new Set(
+    v.noRepeatWithin ? recent.slice(-v.noRepeatWithin) : []
+  );
+  const fresh = candidates.filter((c) => !blocked.has(c.query));
+  if (fresh.length) return weightedPick(fresh, rng).query;
+  const lastUse = (c) => recent.lastIndexOf(c.query);
+  return candidates.reduce((a, b) => (lastUse(b) < lastUse(a) ? b : a)).query;
+}
@@ -0,0 +1,193 @@
+// Search result ranking. content.js reads each result into a candidate
+//   { videoId, url, title, channelName, durationSeconds, views, ageDays,
+//     isShort, sponsored, live, source, allowScore }
+// and this module decides the watch order. Rules are plan data
+// (plan.ranking), so each plan can rank differently.
+//
+// Each candidate gets a score, the weighted sum of features in [0, 1]:
+//   relevance  share of the query's words found in the title/channel
+//   longForm   0 for Shorts, rising to 1 at LONG_FORM_SECONDS
+//   recent     1 for today's uploads, 0.5 at RECENT_HALF_LIFE_DAYS
+// plus RANKING_ALLOW_BONUS per filter allow match (filters.js). Unknown
+// values (a missing badge, a layout we can't read) count as 0.5.
+//
+// Randomization is Gumbel top-k: the order is
+// score + randomness * Gumbel noise, which is the same as drawing videos
+// one by one without replacement with probability proportional to
+// exp(score / randomness). randomness 0 watches strictly best-first.
+//
+// plan.shorts is the Shorts policy: "avoid" skips Shorts results, "allow"
+// ranks them like any result and "prefer" adds SHORTS_PREFER_BONUS.
+// maxPerSession caps the Shorts watched in one session either way.
+
+const DEFAULT_RANKING = {
+  relevance: 2,
+  longForm: 1,
+  recent: 0.5,
+  randomness: 1,
+  skipLive: true,
+};
+
+const RANKING_LIMITS = { weight: [0, 5], randomness: [0, 5] };
+const RANKING_WEIGHTS = ["relevance", "longForm", "recent"];
+
+const LONG_FORM_SECONDS = 10 * 60;
+const RECENT_HALF_LIFE_DAYS = 30;
+// Large enough that allowlisted videos come first unless randomness is high
+const RANKING_ALLOW_BONUS = 3;
+
+const SHORTS_POLICIES = ["avoid", "allow", "prefer"];
+const DEFAULT_SHORTS_POLICY = { policy: "allow", maxPerSession: 4 };
+const SHORTS_LIMITS = { maxPerSession: [1, 20] };
+// Outweighs the default longForm preference
+const SHORTS_PREFER_BONUS = 2;
+
+function normalizeRanking(ranking) {
+  const r = { ...DEFAULT_RANKING, ...(ranking || {}) };
+  return {
+    relevance: Number(r.relevance),
+    longForm: Number(r.longForm),
+    recent: Number(r.recent),
+    randomness: Number(r.randomness),
+    skipLive: Boolean(r.skipLive),
+  };
+}
+
+function validateRanking(r) {
+  if (!r || typeof r !== "object") return ["Result ranking is missing."];
+  const errors = [];
+  for (const key of RANKING_WEIGHTS) {
+    if (!inRange(r[key], RANKING_LIMITS.weight))
+      errors.push(
+        `Ranking weights must be between ${RANKING_LIMITS.weight.join(" and ")}.`
+      );
+  }
+  if (!inRange(r.randomness, RANKING_LIMITS.randomness))
+    errors.push(
+      `Ranking randomness must be between ${RANKING_LIMITS.randomness.join(" and ")}.`
+    );
+  return errors;
+}
+
+function normalizeShortsPolicy(shorts) {
+  const s = { ...DEFAULT_SHORTS_POLICY, ...(shorts || {}) };
+  return { policy: s.policy, maxPerSession: Number(s.maxPerSession) };
+}
+
+function validateShortsPolicy(s) {
+  if (!s || typeof s !== "object") return ["Shorts policy is missing."];
+  const errors = [];
+  if (!SHORTS_POLICIES.includes(s.policy))
+    errors.push(`Shorts policy must be one of ${SHORTS_POLICIES.join(", ")}.`);
+  if (
+    !Number.isInteger(s.maxPerSession) ||
+    !inRange(s.maxPerSession, SHORTS_LIMITS.maxPerSession)
+  )
+    errors.push(
+      `Shorts per session must be a whole number between ${SHORTS_LIMITS.maxPerSession.join(" and ")}.`
+    );
+  return errors;
+}
+
+// "12:34" or "1:02:03" -> seconds; null for "LIVE", "SHORTS" etc.
+function parseDurationBadge(text) {
+  const m = String(text || "")
+    .trim()
+    .match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+// "1.2M views", "3,456 views", "No views" -> number; null when unreadable.
+// Only YouTube's English short forms are understood.
+function parseViewCount(text) {
+  const s = String(text || "").toLowerCase();
+  if (/\bno views\b/.test(s)) return 0;
+  const m = s.replace(/,/g, "").match(/([\d.]+)\s*([kmb])?\s*(views|watching)/);
+  if (!m) return null;
+  const scale = { k: 1e3, m: 1e6, b: 1e9 }[m[2]] || 1;
+  return Math.round(Number(m[1]) * scale);
+}
+
+// "3 weeks ago", "Streamed 2 days ago" -> days; null when unreadable
+function parseUploadAge(text) {
+  const m = String(text || "")
+    .toLowerCase()
+    .match(/(\d+)\s*(second|minute|hour|day|week|month|year)s?\s+ago/);
+  if (!m) return null;
+  const days = {
+    second: 1 / 86400,
+    minute: 1 / 1440,
+    hour: 1 / 24,
+    day: 1,
+    week: 7,
+    month: 30,
+    year: 365,
+  }[m[2]];
+  return Number(m[1]) * days;
+}
+
+// Lowercased words of a query, ignoring one-letter words
+function queryTerms(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter((w) => w.length > 1);
+}
+
+function relevanceScore(candidate, query) {
+  const terms = [...new Set(queryTerms(query))];
+  if (!terms.length) return 0.5;
+  const words = new Set(
+    queryTerms(`${candidate.title || ""} ${candidate.channelName || ""}`)
+  );
+  return terms.filter((t) => words.has(t)).length / terms.length;
+}
+
+function rankingFeatures(candidate, query) {
+  const d = candidate.durationSeconds;
+  const age = candidate.ageDays;
+  return {
+    relevance: relevanceScore(candidate, query),
+    longForm: candidate.isShort
+      ? 0
+      : d == null
+        ? 0.5
+        : Math.min(1, d / LONG_FORM_SECONDS),
+    recent: age == null ? 0.5 : 1 / (1 + age / RECENT_HALF_LIFE_DAYS),
+  };
+}
+
+function scoreCandidate(candidate, query, ranking, shorts) {
+  const r = normalizeRanking(ranking);
+  const features = rankingFeatures(candidate, query);
+  const preferShorts =
+    candidate.isShort && normalizeShortsPolicy(shorts).policy === "prefer";
+  return (
+    RANKING_WEIGHTS.reduce((sum, key) => sum + r[key] * features[key], 0) +
+    (candidate.allowScore || 0) * RANKING_ALLOW_BONUS +
+    (preferShorts ? SHORTS_PREFER_BONUS : 0)
+  );
+}
+
+// Standard Gumbel sample; u is kept away from 0 so the log stays finite
+function gumbelNoise(rng) {
+  const u = Math.max(rng.next(), 1e-12);
+  return -Math.log(-Math.log(u));
+}
+
+// Candidates in watch order, each with its score. Skipping (sponsored, live,
+// filters, avoided Shorts) is the caller's job.
+function rankCandidates(candidates, query, ranking, shorts, rng = createRng()) {
+  const r = normalizeRanking(ranking);
+  return candidates
+    .map((c, i) => {
+      const score = scoreCandidate(c, query, r, shorts);
+      const key = r.randomness
+        ? score + r.randomness * gumbelNoise(rng)
+        : score;
+      return { ...c, score, key, position: i };
+    })
+    .sort((a, b) => b.key - a.key || a.position - b.position)
+    .map(({ key, position, ...c }) => c);
+}
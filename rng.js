@@ -0,0 +1,51 @@
+// Seedable random number generator. The same seed always gives the same
+// sequence, so anything driven by it can be replayed and tested. Without a
+// seed a random one is drawn.
+
+// 32-bit hash of a string seed (FNV-1a)
+function seedFromString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function randomSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+// mulberry32; seed may be a number or a string
+function createRng(seed = randomSeed()) {
+  let state =
+    typeof seed === "number" ? seed >>> 0 : seedFromString(String(seed));
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const rng = {
+    seed,
+    // [0, 1)
+    next,
+    // [min, max)
+    between: (min, max) => next() * (max - min) + min,
+    // integer in [min, max]
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    chance: (p) => next() < p,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    // Fisher-Yates on a copy
+    shuffle: (list) => {
+      const out = list.slice();
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    },
+  };
+  return rng;
+}
@@ -0,0 +1,330 @@
+// Session scheduling: turns a run plan into absolute session timestamps.
+// Shared by the background worker and the popup (schedule previews).
+//
+// When a plan has active windows, sessions are spread over those windows in
+// the browser's local timezone. Day boundaries and window edges are built from
+// local date components (never by adding 24h), so DST changes shift nothing.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Display order for window specs (Monday first)
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Shared with the rest of the worker (background.js, orchestrator.js)
+const rand = (min, max) => Math.random() * (max - min) + min;
+const randInt = (min, max) => Math.floor(rand(min, max + 1));
+
+function parseClock(str) {
+  const [h, m] = str.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Timestamp for a local calendar day plus minutes after midnight. Date
+// normalises overflow (day 32, hour 24) into the right local date.
+function atLocalTime(year, month, date, minutes) {
+  return new Date(
+    year,
+    month,
+    date,
+    Math.floor(minutes / 60),
+    minutes % 60
+  ).getTime();
+}
+
+function hasActiveWindows(plan) {
+  return (
+    !!plan.activeWindows &&
+    Object.values(plan.activeWindows).some((list) => list && list.length)
+  );
+}
+
+// Blackouts are stored as local "YYYY-MM-DDTHH:MM" strings
+function blackoutRanges(plan) {
+  return (plan.blackouts || []).map((b) => ({
+    start: new Date(b.start).getTime(),
+    end: new Date(b.end).getTime(),
+  }));
+}
+
+// Remove blackout ranges from a sorted list of intervals
+function subtractRanges(intervals, ranges) {
+  let result = intervals;
+  for (const r of ranges) {
+    const next = [];
+    for (const iv of result) {
+      if (r.end <= iv.start || r.start >= iv.end) {
+        next.push(iv);
+        continue;
+      }
+      if (r.start > iv.start) next.push({ ...iv, end: r.start });
+      if (r.end < iv.end) next.push({ ...iv, start: r.end });
+    }
+    result = next;
+  }
+  return result;
+}
+
+// Active intervals ({ start, end, day }) for dayCount local days starting at
+// the calendar day of fromTs, minus blackouts. `day` is the run day index.
+function buildActiveIntervals(plan, fromTs, dayCount) {
+  const from = new Date(fromTs);
+  const y = from.getFullYear();
+  const m = from.getMonth();
+  const d = from.getDate();
+  const intervals = [];
+  for (let day = 0; day < dayCount; day++) {
+    const weekday = new Date(y, m, d + day).getDay();
+    for (const w of plan.activeWindows[weekday] || []) {
+      const start = atLocalTime(y, m, d + day, parseClock(w.start));
+      const end = atLocalTime(y, m, d + day, parseClock(w.end));
+      if (end > start) intervals.push({ start, end, day });
+    }
+  }
+  intervals.sort((a, b) => a.start - b.start);
+  // Merge overlapping windows so each instant belongs to one interval
+  const merged = [];
+  for (const iv of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && iv.start <= last.end) last.end = Math.max(last.end, iv.end);
+    else merged.push({ ...iv });
+  }
+  return subtractRanges(merged, blackoutRanges(plan));
+}
+
+// Map an offset in "active milliseconds" onto wall-clock time
+function activeOffsetToTime(intervals, offset) {
+  let remaining = offset;
+  for (const iv of intervals) {
+    const len = iv.end - iv.start;
+    if (remaining < len) return iv.start + remaining;
+    remaining -= len;
+  }
+  const last = intervals[intervals.length - 1];
+  return last.end - 1;
+}
+
+// Original behaviour for plans without active windows: an offset into each
+// day followed by random gaps
+function generateOpenSchedule(startTs, plan) {
+  const schedule = [];
+  for (let day = 0; day < plan.days; day++) {
+    const sessionCount = randInt(
+      plan.minSessionsPerDay,
+      plan.maxSessionsPerDay
+    );
+    let ts = startTs + day * DAY_MS;
+    // add an initial offset in the day (0-6 hours)
+    ts += rand(0, 6 * HOUR_MS);
+    for (let s = 0; s < sessionCount; s++) {
+      schedule.push(ts);
+      ts += rand(
+        plan.minBetweenHours * HOUR_MS,
+        plan.maxBetweenHours * HOUR_MS
+      );
+    }
+  }
+  return schedule;
+}
+
+// Sessions are placed on a timeline of active time only (inactive hours and
+// blackouts removed), so gaps are counted in active time. Each day takes as
+// many of its sessions as fit in its active time at the minimum gap,
+// stratified over it; the rest move to the next day of the plan, and what
+// no day has room for is dropped. Gaps longer than the maximum are
+// shortened, except that a day's first session never moves back into the
+// previous day. Returns { schedule, dropped }.
+function generateWindowedSchedule(startTs, plan) {
+  const intervals = buildActiveIntervals(plan, startTs, plan.days)
+    .filter((iv) => iv.end > startTs)
+    .map((iv) => ({ ...iv, start: Math.max(iv.start, startTs) }));
+  const minGap = plan.minBetweenHours * HOUR_MS;
+  const maxGap = plan.maxBetweenHours * HOUR_MS;
+
+  // Where each day's active time starts on the timeline, and how long it is
+  const dayStart = new Map();
+  const dayActive = new Map();
+  let totalActive = 0;
+  for (const iv of intervals) {
+    if (!dayStart.has(iv.day)) dayStart.set(iv.day, totalActive);
+    dayActive.set(iv.day, (dayActive.get(iv.day) || 0) + iv.end - iv.start);
+    totalActive += iv.end - iv.start;
+  }
+
+  const offsets = [];
+  let carried = 0;
+  let prev = null;
+  for (let day = 0; day < plan.days; day++) {
+    carried += randInt(plan.minSessionsPerDay, plan.maxSessionsPerDay);
+    const activeMs = dayActive.get(day) || 0;
+    if (!activeMs) continue;
+    // A second short of the day's end so rounding stays inside the window
+    const lo = Math.max(dayStart.get(day), prev === null ? 0 : prev + minGap);
+    const hi = dayStart.get(day) + activeMs - 1000;
+    if (lo > hi) continue;
+    const count = Math.min(carried, Math.floor((hi - lo) / minGap) + 1);
+    carried -= count;
+    // Stratified over what is left once the minimum gaps are set aside
+    const slack = hi - lo - (count - 1) * minGap;
+    for (let s = 0; s < count; s++) {
+      let offset =
+        lo + Math.round(((s + rand(0.1, 0.9)) / count) * slack) + s * minGap;
+      if (prev !== null && offset > prev + maxGap)
+        offset = Math.max(
+          lo,
+          prev + Math.round(rand(minGap, Math.max(minGap, maxGap)))
+        );
+      offsets.push(offset);
+      prev = offset;
+    }
+  }
+  return {
+    schedule: offsets.map((offset) => activeOffsetToTime(intervals, offset)),
+    dropped: carried,
+  };
+}
+
+// Schedule for a run: { schedule, dropped }, dropped counting the sessions
+// the plan's active hours had no room for
+function planSchedule(startTs, plan) {
+  const { schedule, dropped } = hasActiveWindows(plan)
+    ? generateWindowedSchedule(startTs, plan)
+    : { schedule: generateOpenSchedule(startTs, plan), dropped: 0 };
+  // Whole milliseconds keep alarm names (session-<runId>-<ts>) tidy
+  return { schedule: schedule.map(Math.round), dropped };
+}
+
+// Generate a schedule of absolute timestamps (ms since epoch) for sessions
+function generateSchedule(startTs, plan) {
+  return planSchedule(startTs, plan).schedule;
+}
+
+// --- Text specs used by the popup plan editor ---
+
+// "Mon-Fri 18:00-23:00; Sat,Sun 10:00-24:00" -> { windows, errors }.
+// "Daily" matches every weekday. Empty text means "any time" (null).
+function parseWindowSpec(text) {
+  const errors = [];
+  const parts = String(text || "")
+    .split(/[;\n]+/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (!parts.length) return { windows: null, errors };
+  const windows = {};
+  for (const part of parts) {
+    const [daysToken, ...rest] = part.split(/\s+/);
+    const days = parseWeekdays(daysToken);
+    if (!days) {
+      errors.push(`Unknown days "${daysToken}" in active hours.`);
+      continue;
+    }
+    const ranges = rest.join("").split(",").filter(Boolean);
+    if (!ranges.length) errors.push(`No times given for "${daysToken}".`);
+    for (const range of ranges) {
+      const m = range.match(/^(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+      if (!m) {
+        errors.push(`Could not read time range "${range}".`);
+        continue;
+      }
+      const win = { start: m[1].padStart(5, "0"), end: m[2].padStart(5, "0") };
+      for (const day of days) (windows[day] = windows[day] || []).push(win);
+    }
+  }
+  for (const list of Object.values(windows))
+    list.sort((a, b) => parseClock(a.start) - parseClock(b.start));
+  return { windows, errors };
+}
+
+// "Mon-Fri", "Sat,Sun", "Tue", "Daily" -> [weekday numbers] or null
+function parseWeekdays(token) {
+  if (/^daily$/i.test(token)) return [0, 1, 2, 3, 4, 5, 6];
+  const lookup = (name) =>
+    WEEKDAY_NAMES.findIndex(
+      (n) => n.toLowerCase() === name.slice(0, 3).toLowerCase()
+    );
+  const days = [];
+  for (const piece of token.split(",").filter(Boolean)) {
+    const [a, b] = piece.split("-");
+    const from = lookup(a);
+    const to = b ? lookup(b) : from;
+    if (from < 0 || to < 0) return null;
+    // Walk in week order so "Fri-Mon" wraps over the weekend
+    for (let i = WEEK_ORDER.indexOf(from); ; i = (i + 1) % 7) {
+      days.push(WEEK_ORDER[i]);
+      if (WEEK_ORDER[i] === to) break;
+    }
+  }
+  return days.length ? days : null;
+}
+
+// Inverse of parseWindowSpec; consecutive days with identical windows are
+// grouped into ranges
+function formatWindowSpec(windows) {
+  if (!windows) return "";
+  const key = (day) =>
+    (windows[day] || []).map((w) => `${w.start}-${w.end}`).join(",");
+  const groups = [];
+  for (const day of WEEK_ORDER) {
+    const k = key(day);
+    if (!k) continue;
+    const last = groups[groups.length - 1];
+    const prevDay = WEEK_ORDER[WEEK_ORDER.indexOf(day) - 1];
+    if (last && last.key === k && last.to === prevDay) last.to = day;
+    else groups.push({ key: k, from: day, to: day });
+  }
+  return groups
+    .map((g) => {
+      const days =
+        g.from === g.to
+          ? WEEKDAY_NAMES[g.from]
+          : `${WEEKDAY_NAMES[g.from]}-${WEEKDAY_NAMES[g.to]}`;
+      return `${days} ${g.key}`;
+    })
+    .join("; ");
+}
+
+function formatLocalDateTime(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(
+    date.getDate()
+  )}T${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+// One blackout per line: "2026-12-24 - 2026-12-26" (whole days, inclusive)
+// or "2026-12-24 08:00 - 2026-12-24 20:00". A single date blacks out a day.
+function parseBlackoutSpec(text) {
+  const errors = [];
+  const blackouts = [];
+  const endpoint = "(\\d{4}-\\d{2}-\\d{2})(?:[ T](\\d{2}:\\d{2}))?";
+  const re = new RegExp(`^${endpoint}(?:\\s+(?:-|to)\\s+${endpoint})?$`);
+  for (const line of String(text || "").split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    const m = trimmed.match(re);
+    if (!m) {
+      errors.push(`Could not read blackout "${trimmed}".`);
+      continue;
+    }
+    const [, startDate, startTime, endDateRaw, endTimeRaw] = m;
+    const start = `${startDate}T${startTime || "00:00"}`;
+    let end;
+    if (endTimeRaw) end = `${endDateRaw}T${endTimeRaw}`;
+    else {
+      // Date-only end is inclusive: the blackout runs to the next midnight
+      const [y, mo, d] = (endDateRaw || startDate).split("-").map(Number);
+      end = formatLocalDateTime(new Date(y, mo - 1, d + 1));
+    }
+    blackouts.push({ start, end });
+  }
+  return { blackouts, errors };
+}
+
+function formatBlackoutSpec(blackouts) {
+  return (blackouts || [])
+    .map((b) => `${b.start.replace("T", " ")} - ${b.end.replace("T", " ")}`)
+    .join("\n");
+}
@@ -0,0 +1,334 @@
+// Selector registry: every YouTube DOM selector content.js uses, by named
+// role, each role an ordered list of fallbacks. When YouTube changes its
+// layout an updated registry can be loaded from a URL or a file (dashboard)
+// without a new release. Roles missing from a loaded registry keep the
+// built-in list.
+//
+// Registry JSON:
+//   { schemaVersion: 1, revision: "2026-10-19", roles: { searchInput: [...] } }
+// content.js counts which selector of each role matched; the background keeps
+// the totals in `selectorStats` so rotting fallbacks show up on the dashboard.
+//
+// The service worker has no DOM to syntax-check a refreshed registry;
+// content.js checks it and reports selectors that don't parse. A registry
+// with any goes back to the last one that ran clean, and its revision is not
+// taken again.
+//
+// Storage: selectorRegistry (the loaded registry, null = built-in),
+// selectorRegistryUrl, selectorRegistryFetchedAt, selectorStats,
+// selectorRegistryLastGood, selectorRegistryRejected (a revision).
+
+const SELECTOR_SCHEMA_VERSION = 1;
+// A configured URL is fetched again at session start once this old
+const SELECTOR_REFRESH_MS = 24 * 60 * 60 * 1000;
+const SELECTOR_FETCH_TIMEOUT_MS = 15 * 1000;
+
+const DEFAULT_SELECTOR_REGISTRY = {
+  schemaVersion: SELECTOR_SCHEMA_VERSION,
+  revision: "builtin",
+  roles: {
+    // Search page
+    searchInput: [
+      "input#search",
+      'input[name="search_query"]',
+      "#search-input input",
+      "input[placeholder*='Search']",
+    ],
+    searchButton: [
+      "#search-icon-legacy",
+      'button[aria-label="Search"]',
+      "#search-icon",
+      ".ytSearchboxComponentButton",
+    ],
+    // One renderer per search result, ads and Shorts shelf items included
+    resultItem: [
+      "ytd-video-renderer",
+      "ytd-reel-item-renderer",
+      "ytd-shorts-lockup-view-model",
+      "ytm-shorts-lockup-view-model",
+      "ytd-rich-item-renderer",
+      "ytd-promoted-video-renderer",
+      "ytd-ad-slot-renderer",
+    ],
+    resultLink: [
+      "a#video-title[href]",
+      "a#video-title-link[href]",
+      "a#thumbnail[href]",
+      'a[href*="/watch?v="]',
+      'a[href*="/shorts/"]',
+    ],
+    // Any video link; picks up results outside a known renderer
+    videoLink: ['a[href*="/watch?v="]', 'a[href*="/shorts/"]'],
+    // Sidebar recommendations, never search results
+    relatedContainer: ["#related", "ytd-watch-next-secondary-results-renderer"],
+    resultTitle: ["#video-title", "h3", "[title]"],
+    resultChannel: ["ytd-channel-name a", "#channel-name a", 'a[href^="/@"]'],
+    durationBadge: [
+      "ytd-thumbnail-overlay-time-status-renderer #text",
+      "ytd-thumbnail-overlay-time-status-renderer",
+      "badge-shape .yt-badge-shape__text",
+    ],
+    timeOverlay: ["ytd-thumbnail-overlay-time-status-renderer[overlay-style]"],
+    resultMetadata: [
+      "#metadata-line span",
+      ".inline-metadata-item",
+      ".shortsLockupViewModelHostMetadataSubhead",
+    ],
+    resultBadge: ["ytd-badge-supported-renderer", ".badge", "badge-shape"],
+    adContainer: [
+      "ytd-ad-slot-renderer",
+      "ytd-in-feed-ad-layout-renderer",
+      "ytd-promoted-video-renderer",
+      "ytd-search-pyv-renderer",
+    ],
+    shortsShelf: [
+      "ytd-reel-shelf-renderer",
+      "grid-shelf-view-model",
+      "ytd-rich-shelf-renderer[is-shorts]",
+    ],
+    // Watch page
+    videoPlayer: ["video"],
+    watchTitle: [
+      "ytd-watch-metadata h1 yt-formatted-string",
+      "h1.ytd-watch-metadata",
+      "#title h1",
+    ],
+    watchChannel: [
+      "ytd-watch-metadata ytd-channel-name a",
+      "#owner ytd-channel-name a",
+      "#upload-info a",
+    ],
+    channelIdMeta: ['meta[itemprop="channelId"]'],
+    commentsSection: ["ytd-comments#comments", "#comments"],
+    // Shorts player
+    shortsActiveReel: ["ytd-reel-video-renderer[is-active]", "ytd-shorts"],
+    shortsPlayer: [
+      "ytd-reel-video-renderer[is-active] video",
+      "#shorts-player video",
+      "ytd-shorts video",
+    ],
+    shortsTitle: [
+      ".ytShortsVideoTitleViewModelShortsVideoTitle",
+      "h2.title",
+      "#overlay h2",
+    ],
+    shortsChannel: [
+      ".ytReelChannelBarViewModelChannelName a",
+      "ytd-channel-name a",
+      'a[href^="/@"]',
+    ],
+    shortsNext: [
+      "#navigation-button-down button",
+      'button[aria-label="Next video"]',
+      'ytd-shorts [aria-label*="Next"]',
+    ],
+    // Engagement
+    likeButton: [
+      "ytd-watch-metadata like-button-view-model button",
+      "#top-level-buttons-computed like-button-view-model button",
+      "#top-level-buttons-computed ytd-toggle-button-renderer:first-child button",
+    ],
+    saveButton: [
+      'ytd-watch-metadata button[aria-label="Save to playlist"]',
+      '#top-level-buttons-computed button[aria-label^="Save"]',
+      'ytd-watch-metadata #flexible-item-buttons button[aria-label^="Save"]',
+    ],
+    playlistOption: [
+      "ytd-add-to-playlist-renderer ytd-playlist-add-to-option-renderer",
+      "yt-list-item-view-model",
+    ],
+    playlistCheckbox: [
+      "tp-yt-paper-checkbox",
+      '[role="checkbox"]',
+      "[aria-checked]",
+      "[aria-pressed]",
+    ],
+    subscribeButton: [
+      "ytd-watch-metadata #subscribe-button button",
+      "#owner ytd-subscribe-button-renderer button",
+    ],
+    descriptionExpand: [
+      "ytd-watch-metadata #description-inline-expander #expand",
+      "#description tp-yt-paper-button#expand",
+      "#description #expand",
+    ],
+    // Home feed (negative training)
+    feedItem: [
+      "ytd-rich-grid-renderer ytd-rich-item-renderer",
+      "ytd-rich-item-renderer",
+    ],
+    feedMenuButton: [
+      'button[aria-label="Action menu"]',
+      'button[aria-label="More actions"]',
+      "ytd-menu-renderer yt-icon-button button",
+    ],
+    menuItem: [
+      "ytd-menu-service-item-renderer",
+      "yt-list-item-view-model",
+      "tp-yt-paper-item",
+    ],
+    // Interstitials (interstitials.js)
+    consentDialog: [
+      "ytd-consent-bump-v2-lightbox",
+      'form[action*="consent.youtube.com"]',
+    ],
+    consentAccept: [
+      'ytd-consent-bump-v2-lightbox button[aria-label^="Accept"]',
+      'button[aria-label^="Accept all"]',
+      'form[action*="consent.youtube.com"]:last-of-type button',
+    ],
+    consentReject: [
+      'ytd-consent-bump-v2-lightbox button[aria-label^="Reject"]',
+      'button[aria-label^="Reject all"]',
+      'form[action*="consent.youtube.com"]:first-of-type button',
+    ],
+    signInPrompt: [
+      "ytd-popup-container ytd-mealbar-promo-renderer",
+      "yt-upsell-dialog-renderer",
+      "ytd-popup-container ytd-modal-with-title-and-button-renderer",
+    ],
+    signInDismiss: [
+      "#dismiss-button button",
+      'button[aria-label="No thanks"]',
+      'button[aria-label="Not now"]',
+    ],
+    playerError: [
+      "#error-screen ytd-player-error-message-renderer",
+      "ytd-enforcement-message-view-model",
+      ".ytp-error",
+    ],
+    moviePlayer: ["#movie_player", ".html5-video-player"],
+    playButton: [".ytp-play-button"],
+    adSkipButton: [
+      ".ytp-skip-ad-button",
+      ".ytp-ad-skip-button-modern",
+      ".ytp-ad-skip-button",
+    ],
+  },
+};
+
+const SELECTOR_ROLES = Object.keys(DEFAULT_SELECTOR_REGISTRY.roles);
+
+// Syntax check where a DOM is available (pages, content script); the
+// service worker has none and trusts the list
+function isValidSelector(selector) {
+  if (typeof document === "undefined") return true;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Roles of a session's match counts with selectors that didn't parse
+const invalidSelectorRoles = (sessionHits) =>
+  Object.keys(sessionHits || {}).filter(
+    (role) => sessionHits[role].invalid && sessionHits[role].invalid.length
+  );
+
+// Problems with a registry; roles this version doesn't know are ignored so
+// a newer registry of the same schema still loads
+function validateSelectorRegistry(registry) {
+  if (!registry || typeof registry !== "object" || Array.isArray(registry))
+    return ["The selector registry must be a JSON object."];
+  const errors = [];
+  if (registry.schemaVersion !== SELECTOR_SCHEMA_VERSION)
+    errors.push(
+      `Selector registry schema ${registry.schemaVersion} is not supported (expected ${SELECTOR_SCHEMA_VERSION}).`
+    );
+  if (!registry.revision || typeof registry.revision !== "string")
+    errors.push("The selector registry needs a revision string.");
+  const roles = registry.roles;
+  if (!roles || typeof roles !== "object" || Array.isArray(roles))
+    return [...errors, "The selector registry needs a roles object."];
+  for (const role of SELECTOR_ROLES) {
+    const list = roles[role];
+    if (list === undefined) continue;
+    if (
+      !Array.isArray(list) ||
+      !list.length ||
+      !list.every((s) => typeof s === "string" && s.trim())
+    )
+      errors.push(`Role "${role}" must be a non-empty list of selectors.`);
+    else {
+      const bad = list.find((s) => !isValidSelector(s));
+      if (bad) errors.push(`Role "${role}" has an invalid selector: ${bad}`);
+    }
+  }
+  return errors;
+}
+
+// The registry content.js runs with: a loaded registry's roles over the
+// built-in ones
+function mergeSelectorRegistry(registry) {
+  if (!registry || validateSelectorRegistry(registry).length)
+    return DEFAULT_SELECTOR_REGISTRY;
+  const roles = { ...DEFAULT_SELECTOR_REGISTRY.roles };
+  for (const role of SELECTOR_ROLES) {
+    if (registry.roles[role]) roles[role] = registry.roles[role].slice();
+  }
+  return {
+    schemaVersion: SELECTOR_SCHEMA_VERSION,
+    revision: registry.revision,
+    roles,
+  };
+}
+
+// Fetch and validate a registry; throws with the reason
+async function fetchSelectorRegistry(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SELECTOR_FETCH_TIMEOUT_MS);
+  let registry;
+  try {
+    const res = await fetch(url, {
+      signal: controller.signal,
+      cache: "no-store",
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    registry = await res.json();
+  } catch (err) {
+    throw new Error(
+      err.name === "AbortError"
+        ? "Fetching the selector registry timed out."
+        : `Could not fetch the selector registry: ${err.message}`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+  const errors = validateSelectorRegistry(registry);
+  if (errors.length) throw new Error(errors.join(" "));
+  return registry;
+}
+
+// Fold one session's match counts ({ role: { hits: { selector: n },
+// misses, invalid: [selector] } }) into the stored totals. Selectors no longer in the registry
+// are dropped.
+function mergeSelectorStats(stats, sessionHits, registry, now = Date.now()) {
+  const out = { revision: registry.revision, roles: {} };
+  for (const role of SELECTOR_ROLES) {
+    const old = (stats && stats.roles && stats.roles[role]) || {};
+    const hits = (sessionHits && sessionHits[role]) || {};
+    const entry = {
+      selectors: {},
+      misses: (old.misses || 0) + (hits.misses || 0),
+      lastMiss: hits.misses ? now : old.lastMiss || null,
+      // Selectors that didn't parse in the page and were skipped
+      invalid: [...new Set([...(old.invalid || []), ...(hits.invalid || [])])]
+        .filter((sel) => registry.roles[role].includes(sel)),
+    };
+    for (const selector of registry.roles[role]) {
+      const before = (old.selectors && old.selectors[selector]) || {
+        hits: 0,
+        lastHit: null,
+      };
+      const n = (hits.hits && hits.hits[selector]) || 0;
+      entry.selectors[selector] = {
+        hits: before.hits + n,
+        lastHit: n ? now : before.lastHit,
+      };
+    }
+    out.roles[role] = entry;
+  }
+  return out;
+}
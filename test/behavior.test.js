@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("rng.js", "behavior.js");
+const planPlayback = load("planPlayback");
+const videoRng = load("videoRng");
+const profiles = load("BEHAVIOR_PROFILE_IDS");
+
+const DURATIONS = [12, 30, 95, 240, 1800, 7200, NaN, 0];
+
+test("the same seed and video give the same playback plan", () => {
+  for (const profile of profiles)
+    for (const duration of DURATIONS) {
+      const a = planPlayback(profile, duration, 600, videoRng("s-1", "abc"));
+      const b = planPlayback(profile, duration, 600, videoRng("s-1", "abc"));
+      assert.deepStrictEqual(a, b);
+    }
+});
+
+test("another seed or video gives another plan", () => {
+  const plan = (seed, video) =>
+    JSON.stringify(planPlayback("skimmer", 1800, 600, videoRng(seed, video)));
+  assert.notStrictEqual(plan("s-1", "abc"), plan("s-2", "abc"));
+  assert.notStrictEqual(plan("s-1", "abc"), plan("s-1", "def"));
+});
+
+test("the watch cap bounds every plan", () => {
+  for (const profile of profiles)
+    for (const duration of DURATIONS)
+      for (const cap of [30, 90, 600])
+        for (let i = 0; i < 50; i++) {
+          const { targetSeconds } = planPlayback(
+            profile,
+            duration,
+            cap,
+            videoRng(`s-${i}`, "abc")
+          );
+          assert.ok(targetSeconds > 0);
+          assert.ok(
+            targetSeconds <= cap,
+            `${profile} ${duration}s: ${targetSeconds} > ${cap}`
+          );
+          if (duration > 0) assert.ok(targetSeconds <= duration);
+        }
+});
+
+test("events are ordered shares of the target", () => {
+  for (const profile of profiles)
+    for (let i = 0; i < 50; i++) {
+      const { events } = planPlayback(
+        profile,
+        1800,
+        600,
+        videoRng(`s-${i}`, "abc")
+      );
+      for (const [n, event] of events.entries()) {
+        assert.ok(event.at > 0 && event.at < 1);
+        if (n) assert.ok(event.at >= events[n - 1].at);
+      }
+    }
+});
+
+test("unknown profiles fall back to the default", () => {
+  const plan = planPlayback("binge", 600, 600, videoRng("s-1", "abc"));
+  assert.strictEqual(plan.profile, load("DEFAULT_BEHAVIOR_PROFILE"));
+});
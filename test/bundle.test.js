@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts(
+  "rng.js",
+  "plans.js",
+  "keywords.js",
+  "queries.js",
+  "selectors.js",
+  "history.js",
+  "bundle.js"
+);
+const validateBundle = load("validateBundle");
+
+const record = (fields = {}) => ({
+  id: "s1",
+  startedAt: 1760000000000,
+  outcome: "success",
+  videos: [],
+  watchSeconds: 120,
+  ...fields,
+});
+
+const bundle = (fields = {}) => ({
+  format: "yt-rewire-bundle",
+  version: 1,
+  settings: {},
+  plans: [],
+  runArchive: [],
+  history: [record()],
+  ...fields,
+});
+
+test("a well-formed bundle imports", () => {
+  const { bundle: result, errors } = validateBundle(JSON.stringify(bundle()));
+  assert.deepStrictEqual([...errors], []);
+  assert.strictEqual(result.history.length, 1);
+});
+
+test("malformed history records are rejected", () => {
+  const cases = [
+    [{ id: "" }, "history[0].id"],
+    [{ startedAt: "yesterday" }, "history[0].startedAt"],
+    [{ outcome: "done" }, "history[0].outcome"],
+    [{ videos: "none" }, "history[0].videos"],
+    [{ watchSeconds: NaN }, "history[0].watchSeconds"],
+    [{ watchSeconds: "120" }, "history[0].watchSeconds"],
+    [{ watchSeconds: -5 }, "history[0].watchSeconds"],
+    [{ watchSeconds: undefined }, "history[0].watchSeconds"],
+    [{ adSeconds: "3" }, "history[0].adSeconds"],
+    [{ stallSeconds: -1 }, "history[0].stallSeconds"],
+  ];
+  for (const [fields, field] of cases) {
+    const { bundle: result, errors } = validateBundle(
+      bundle({ history: [record(fields)] })
+    );
+    assert.strictEqual(result, null, JSON.stringify(fields));
+    assert.ok(
+      errors.some((e) => e.startsWith(field)),
+      `${field}: ${errors.join(" ")}`
+    );
+  }
+});
+
+test("a history entry that isn't an object is rejected", () => {
+  const { bundle: result, errors } = validateBundle(
+    bundle({ history: ["s1"] })
+  );
+  assert.strictEqual(result, null);
+  assert.deepStrictEqual([...errors], ["history[0] must be an object."]);
+});
+
+test("bundles that aren't ours are rejected up front", () => {
+  assert.match(validateBundle("{not json").errors[0], /^Not valid JSON/);
+  assert.deepStrictEqual(
+    [...validateBundle(bundle({ format: "other" })).errors],
+    ["Not a YT Rewire export bundle."]
+  );
+  assert.deepStrictEqual(
+    [...validateBundle(bundle({ version: 2 })).errors],
+    ["Unsupported bundle version: 2."]
+  );
+  assert.deepStrictEqual(
+    [...validateBundle(bundle({ history: {} })).errors],
+    ["history must be a list."]
+  );
+});
+
+test("archived runs need an id, start time and timestamp schedule", () => {
+  const { errors } = validateBundle(
+    bundle({ runArchive: [{ id: "", startTs: "x", schedule: [1, "2"] }] })
+  );
+  assert.deepStrictEqual(
+    [...errors],
+    [
+      "runArchive[0].id must be a non-empty string.",
+      "runArchive[0].startTs must be a timestamp.",
+      "runArchive[0].schedule must be a list of timestamps.",
+    ]
+  );
+});
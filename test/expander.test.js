@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("rng.js", "expander.js");
+const expandTopic = load("expandTopic");
+const [MIN, MAX] = load("EXPANDER_COUNT");
+
+const NOW = new Date(2026, 9, 19).getTime();
+const TOPICS = [
+  "python",
+  "diy",
+  "rust programming",
+  "home workout for beginners",
+  "the",
+  "how to",
+  "  Street   FOOD  ",
+  "c++",
+  "日本 旅行",
+];
+
+test("the same seed gives the same phrases", () => {
+  for (const topic of TOPICS)
+    for (const seed of [1, 42, "run-7"]) {
+      const a = expandTopic(topic, { seed, now: NOW });
+      const b = expandTopic(topic, { seed, now: NOW });
+      assert.deepStrictEqual(a, b);
+    }
+});
+
+test("another seed gives another mix", () => {
+  const a = expandTopic("rust programming", { seed: 1, now: NOW });
+  const b = expandTopic("rust programming", { seed: 2, now: NOW });
+  assert.notDeepStrictEqual(a, b);
+});
+
+test("every topic expands to 8-12 distinct phrases", () => {
+  for (const topic of TOPICS)
+    for (let seed = 0; seed < 200; seed++) {
+      const phrases = expandTopic(topic, { seed, now: NOW });
+      assert.ok(
+        phrases.length >= MIN && phrases.length <= MAX,
+        `"${topic}" seed ${seed}: ${phrases.length} phrases`
+      );
+      assert.strictEqual(new Set(phrases).size, phrases.length);
+      for (const p of phrases) assert.strictEqual(p, p.trim());
+    }
+});
+
+test("an empty topic has nothing to expand", () => {
+  for (const topic of ["", "   ", null, undefined])
+    assert.strictEqual(expandTopic(topic, { seed: 1, now: NOW }).length, 0);
+});
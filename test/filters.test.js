@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("filters.js");
+const checkVideoFilters = load("checkVideoFilters");
+const parseFilterSpec = load("parseFilterSpec");
+const formatFilterSpec = load("formatFilterSpec");
+
+const VIDEO = {
+  videoId: "dQw4w9WgXcQ",
+  title: "Rust crash course for beginners",
+  channelName: "Code Lab",
+  channelHandle: "@codelab",
+  channelId: "UC1234567890",
+};
+const filters = (block = {}, allow = {}, allowOnly = false) => ({
+  block,
+  allow,
+  allowOnly,
+});
+
+test("terms match whole words in the title", () => {
+  assert.ok(checkVideoFilters(VIDEO, filters({ term: ["crash"] })).blocked);
+  assert.ok(
+    checkVideoFilters(VIDEO, filters({ term: ["CRASH COURSE"] })).blocked
+  );
+  assert.ok(!checkVideoFilters(VIDEO, filters({ term: ["crash c"] })).blocked);
+  assert.ok(!checkVideoFilters(VIDEO, filters({ term: ["rus"] })).blocked);
+});
+
+test("channels match by name, handle or id", () => {
+  for (const rule of ["Code Lab", "@codelab", "codelab", "UC1234567890"])
+    assert.ok(
+      checkVideoFilters(VIDEO, filters({ channel: [rule] })).blocked,
+      rule
+    );
+  assert.ok(!checkVideoFilters(VIDEO, filters({ channel: ["Code"] })).blocked);
+});
+
+test("the more specific rule decides", () => {
+  // An allowed channel outranks a blocked term
+  const verdict = checkVideoFilters(
+    VIDEO,
+    filters({ term: ["rust"] }, { channel: ["@codelab"] })
+  );
+  assert.strictEqual(verdict.blocked, false);
+  assert.strictEqual(verdict.score, 2);
+  // A blocked video outranks an allowed channel
+  assert.ok(
+    checkVideoFilters(
+      VIDEO,
+      filters({ video: ["dQw4w9WgXcQ"] }, { channel: ["@codelab"] })
+    ).blocked
+  );
+  // Same level: the block wins
+  const same = checkVideoFilters(
+    VIDEO,
+    filters({ term: ["rust"] }, { term: ["rust"] })
+  );
+  assert.strictEqual(same.reason, 'blocked term "rust"');
+});
+
+test("allow-only skips what no allow rule matches", () => {
+  assert.strictEqual(
+    checkVideoFilters(VIDEO, filters({}, {}, true)).reason,
+    "not on the allowlist"
+  );
+  const allowed = checkVideoFilters(
+    VIDEO,
+    filters({}, { term: ["rust", "beginners"] }, true)
+  );
+  assert.strictEqual(allowed.blocked, false);
+  assert.strictEqual(allowed.score, 2);
+});
+
+test("the popup syntax reads and writes rules", () => {
+  const { rules, errors } = parseFilterSpec(
+    "video: dQw4w9WgXcQ\nchannel:@codelab\n  clickbait  \n\nvideo:x"
+  );
+  assert.strictEqual(errors.length, 1);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(rules)), {
+    term: ["clickbait"],
+    channel: ["@codelab"],
+    video: ["dQw4w9WgXcQ"],
+  });
+  assert.strictEqual(
+    formatFilterSpec(rules),
+    "video:dQw4w9WgXcQ\nchannel:@codelab\nclickbait"
+  );
+});
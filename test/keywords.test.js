@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("rng.js", "plans.js", "keywords.js");
+const pickBalancedKeyword = load("pickBalancedKeyword");
+const keywordUsage = load("keywordUsage");
+const parseKeywordSpec = load("parseKeywordSpec");
+const formatKeywordSpec = load("formatKeywordSpec");
+const createRng = load("createRng");
+
+const NOW = new Date(2026, 9, 19, 20, 0).getTime();
+const YESTERDAY = NOW - 24 * 60 * 60 * 1000;
+
+// Picks n sessions in a row, each seeing the ones before it in history
+function simulate(entries, n, { seed = 1, history = [] } = {}) {
+  const rng = createRng(seed);
+  const records = [...history];
+  const picks = [];
+  for (let i = 0; i < n; i++) {
+    const keyword = pickBalancedKeyword(
+      entries,
+      keywordUsage(records, NOW),
+      rng
+    );
+    picks.push(keyword);
+    records.push({ keyword, outcome: "success", startedAt: NOW });
+  }
+  return picks;
+}
+
+const count = (picks) =>
+  picks.reduce((m, k) => m.set(k, (m.get(k) || 0) + 1), new Map());
+
+test("sessions follow the keyword weights", () => {
+  const entries = [
+    { text: "cooking", weight: 3 },
+    { text: "travel", weight: 1 },
+    { text: "music", weight: 2 },
+  ];
+  const picks = count(simulate(entries, 600));
+  // Balanced against history, not drawn: within one session of the share
+  assert.ok(Math.abs(picks.get("cooking") - 300) <= 1);
+  assert.ok(Math.abs(picks.get("music") - 200) <= 1);
+  assert.ok(Math.abs(picks.get("travel") - 100) <= 1);
+});
+
+test("equal weights rotate", () => {
+  const picks = simulate(["a", "b", "c"], 9);
+  for (let i = 0; i < 9; i += 3)
+    assert.deepStrictEqual([...picks.slice(i, i + 3)].sort(), ["a", "b", "c"]);
+});
+
+test("daily minimums go first", () => {
+  const entries = [
+    { text: "cooking", weight: 10 },
+    { text: "travel", weight: 0.1, minPerDay: 2 },
+  ];
+  // Yesterday's sessions don't count towards today's minimum
+  const history = [
+    { keyword: "travel", outcome: "success", startedAt: YESTERDAY },
+    { keyword: "travel", outcome: "success", startedAt: YESTERDAY },
+  ];
+  const picks = simulate(entries, 4, { history });
+  assert.deepStrictEqual(picks.slice(0, 2), ["travel", "travel"]);
+  assert.deepStrictEqual(picks.slice(2), ["cooking", "cooking"]);
+});
+
+test("daily maximums are honored until every keyword is capped", () => {
+  const entries = [
+    { text: "cooking", weight: 10, maxPerDay: 1 },
+    { text: "travel", weight: 1, maxPerDay: 2 },
+  ];
+  const picks = count(simulate(entries, 3));
+  assert.strictEqual(picks.get("cooking"), 1);
+  assert.strictEqual(picks.get("travel"), 2);
+  // All capped: still picks one rather than nothing
+  assert.strictEqual(simulate(entries, 4).length, 4);
+  assert.ok(simulate(entries, 4)[3]);
+});
+
+test("missed sessions don't count as usage", () => {
+  const usage = keywordUsage(
+    [
+      { keyword: "a", outcome: "missed", startedAt: NOW },
+      { keyword: "a", outcome: "success", startedAt: NOW },
+    ],
+    NOW
+  );
+  assert.strictEqual(usage.total.get("a"), 1);
+});
+
+test("the same seed gives the same picks", () => {
+  const entries = ["a", "b", "c", "d"];
+  assert.deepStrictEqual(
+    simulate(entries, 20, { seed: 7 }),
+    simulate(entries, 20, { seed: 7 })
+  );
+});
+
+test("the popup syntax reads and writes weights and limits", () => {
+  const { keywords, errors } = parseKeywordSpec(
+    "cooking *3 [1-2], travel [-1]\nmusic [2]"
+  );
+  assert.strictEqual(errors.length, 0);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(keywords)), [
+    { text: "cooking", weight: 3, minPerDay: 1, maxPerDay: 2 },
+    { text: "travel", weight: 1, minPerDay: null, maxPerDay: 1 },
+    { text: "music", weight: 1, minPerDay: 2, maxPerDay: 2 },
+  ]);
+  assert.strictEqual(
+    formatKeywordSpec(keywords),
+    "cooking *3 [1-2], travel [-1], music [2]"
+  );
+  assert.ok(parseKeywordSpec("cooking [3-1]").errors.length);
+});
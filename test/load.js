@@ -0,0 +1,22 @@
+// The extension's scripts are classic scripts sharing one global scope
+// (importScripts, <script> tags). loadScripts runs them the same way in a
+// fresh context; the returned function reads a global by name.
+//
+// Run the tests with: node --test test/*.test.js
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function loadScripts(...files) {
+  const context = vm.createContext({ console, crypto: globalThis.crypto });
+  for (const file of files)
+    vm.runInContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      context,
+      { filename: file }
+    );
+  return (name) => vm.runInContext(name, context);
+}
+
+module.exports = { loadScripts };
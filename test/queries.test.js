@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("rng.js", "plans.js", "queries.js");
+const chooseQuery = load("chooseQuery");
+const queryCandidates = load("queryCandidates");
+const recentQueriesFor = load("recentQueriesFor");
+const rememberQuery = load("rememberQuery");
+const validateVariations = load("validateVariations");
+const normalizeVariations = load("normalizeVariations");
+const createRng = load("createRng");
+
+const variations = (rules, noRepeatWithin = 0) => ({
+  language: "en",
+  noRepeatWithin,
+  modifiers: null,
+  rules,
+});
+
+test("queries follow the variation weights", () => {
+  const v = variations([
+    { template: "{keyword}", weight: 3 },
+    { template: "{keyword} review", weight: 1 },
+  ]);
+  const rng = createRng(7);
+  const n = 4000;
+  let plain = 0;
+  for (let i = 0; i < n; i++) {
+    if (chooseQuery("cooking", v, [], rng) === "cooking") plain++;
+  }
+  assert.ok(Math.abs(plain / n - 0.75) < 0.03, `plain share ${plain / n}`);
+});
+
+test("a {modifier} rule splits its weight over the modifiers", () => {
+  const v = variations([{ template: "{keyword} {modifier}", weight: 3 }]);
+  v.modifiers = ["guide", "tips", "review"];
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(queryCandidates("cooking", v))),
+    [
+      { query: "cooking guide", weight: 1 },
+      { query: "cooking tips", weight: 1 },
+      { query: "cooking review", weight: 1 },
+    ]
+  );
+});
+
+test("queries used within the no-repeat window are skipped", () => {
+  const v = variations(
+    [
+      { template: "{keyword}", weight: 1 },
+      { template: "{keyword} review", weight: 1 },
+      { template: "{keyword} tips", weight: 1 },
+    ],
+    2
+  );
+  const recent = ["cooking", "cooking review"];
+  for (let seed = 1; seed <= 50; seed++) {
+    assert.strictEqual(
+      chooseQuery("cooking", v, recent, createRng(seed)),
+      "cooking tips"
+    );
+  }
+  // Only the last two count: "cooking" is allowed again after them
+  const older = ["cooking", "cooking review", "cooking tips"];
+  const picks = new Set();
+  for (let seed = 1; seed <= 50; seed++) {
+    picks.add(chooseQuery("cooking", v, older, createRng(seed)));
+  }
+  assert.deepStrictEqual([...picks], ["cooking"]);
+});
+
+test("with every query used recently, the oldest one wins", () => {
+  const v = variations(
+    [
+      { template: "{keyword}", weight: 1 },
+      { template: "{keyword} review", weight: 5 },
+    ],
+    3
+  );
+  assert.strictEqual(
+    chooseQuery("cooking", v, ["cooking", "cooking review"]),
+    "cooking"
+  );
+  assert.strictEqual(
+    chooseQuery("cooking", v, ["cooking review", "cooking"]),
+    "cooking review"
+  );
+});
+
+test("query memory is kept per keyword", () => {
+  let memory = {};
+  memory = rememberQuery(memory, "cooking", "cooking tips");
+  for (let i = 0; i < 60; i++) {
+    memory = rememberQuery(memory, "travel", `travel ${i}`);
+  }
+  assert.deepStrictEqual(
+    [...recentQueriesFor(memory, "cooking")],
+    ["cooking tips"]
+  );
+  const travel = recentQueriesFor(memory, "travel");
+  assert.strictEqual(travel.length, 50);
+  assert.strictEqual(travel[travel.length - 1], "travel 59");
+  assert.deepStrictEqual([...recentQueriesFor(memory, "music")], []);
+});
+
+test("the old single-list memory is dropped", () => {
+  const old = ["cooking", "travel"];
+  assert.deepStrictEqual([...recentQueriesFor(old, "cooking")], []);
+  assert.deepStrictEqual(
+    JSON.parse(JSON.stringify(rememberQuery(old, "cooking", "cooking tips"))),
+    { cooking: ["cooking tips"] }
+  );
+});
+
+test("variation rules are validated", () => {
+  const check = (v) => validateVariations(normalizeVariations(v));
+  assert.deepStrictEqual([...check(null)], []);
+  assert.strictEqual(
+    check(variations([{ template: "news", weight: 1 }])).length,
+    1
+  );
+  assert.strictEqual(
+    check(variations([{ template: "{keyword} {colour}", weight: 1 }])).length,
+    1
+  );
+  assert.strictEqual(
+    check(variations([{ template: "{keyword}", weight: 0 }])).length,
+    1
+  );
+  assert.strictEqual(check(variations([], 2)).length, 1);
+  assert.strictEqual(
+    check({
+      ...variations([{ template: "{keyword}", weight: 1 }]),
+      language: "xx",
+    }).length,
+    1
+  );
+});
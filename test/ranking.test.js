@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("rng.js", "plans.js", "ranking.js");
+const rankCandidates = load("rankCandidates");
+const scoreCandidate = load("scoreCandidate");
+const createRng = load("createRng");
+const parseDurationBadge = load("parseDurationBadge");
+const parseViewCount = load("parseViewCount");
+const parseUploadAge = load("parseUploadAge");
+
+const video = (id, fields = {}) => ({
+  videoId: id,
+  title: id,
+  durationSeconds: 600,
+  ageDays: 1,
+  isShort: false,
+  ...fields,
+});
+const ids = (ranked) => [...ranked].map((c) => c.videoId);
+// Relevance only: a title with the query word scores 1, without it 0
+const RELEVANCE = { relevance: 1, longForm: 0, recent: 0, randomness: 0 };
+
+test("no randomness ranks best-first, ties in page order", () => {
+  const candidates = [
+    video("a"),
+    video("b", { title: "rust tutorial" }),
+    video("c"),
+    video("d", { title: "rust" }),
+  ];
+  assert.deepStrictEqual(
+    ids(rankCandidates(candidates, "rust", RELEVANCE, null, createRng(1))),
+    ["b", "d", "a", "c"]
+  );
+});
+
+test("Gumbel top-k picks in proportion to exp(score / randomness)", () => {
+  const candidates = [video("miss"), video("rust")];
+  const ranking = { ...RELEVANCE, randomness: 1 };
+  const rng = createRng(3);
+  const draws = 5000;
+  let first = 0;
+  for (let i = 0; i < draws; i++)
+    if (
+      rankCandidates(candidates, "rust", ranking, null, rng)[0].videoId ===
+      "rust"
+    )
+      first++;
+  const expected = Math.E / (Math.E + 1);
+  assert.ok(
+    Math.abs(first / draws - expected) < 0.03,
+    `${first / draws} vs ${expected}`
+  );
+});
+
+test("the same seed gives the same order", () => {
+  const candidates = "abcdefgh".split("").map((id) => video(id));
+  const ranking = { randomness: 2 };
+  assert.deepStrictEqual(
+    ids(rankCandidates(candidates, "x", ranking, null, createRng("s-1"))),
+    ids(rankCandidates(candidates, "x", ranking, null, createRng("s-1")))
+  );
+});
+
+test("Shorts rank by the plan's Shorts policy", () => {
+  const short = video("short", { isShort: true, durationSeconds: 30 });
+  const long = video("long");
+  const ranking = { relevance: 0, longForm: 1, recent: 0, randomness: 0 };
+  const order = (policy) =>
+    ids(rankCandidates([short, long], "x", ranking, { policy }, createRng(1)));
+  assert.deepStrictEqual(order("allow"), ["long", "short"]);
+  assert.deepStrictEqual(order("prefer"), ["short", "long"]);
+});
+
+test("Shorts policies are checked", () => {
+  const validate = load("validateShortsPolicy");
+  const normalize = load("normalizeShortsPolicy");
+  assert.strictEqual(validate(normalize(null)).length, 0);
+  assert.strictEqual(validate(normalize({ policy: "never" })).length, 1);
+  assert.strictEqual(validate(normalize({ maxPerSession: 0 })).length, 1);
+  assert.strictEqual(validate(normalize({ maxPerSession: 2.5 })).length, 1);
+});
+
+test("filter allow matches outrank plain results", () => {
+  const plain = video("plain", { title: "rust" });
+  const allowed = video("allowed", { allowScore: 1 });
+  assert.ok(
+    scoreCandidate(allowed, "rust", RELEVANCE, null) >
+      scoreCandidate(plain, "rust", RELEVANCE, null)
+  );
+});
+
+test("result badges and metadata are parsed", () => {
+  assert.strictEqual(parseDurationBadge("12:34"), 754);
+  assert.strictEqual(parseDurationBadge("1:02:03"), 3723);
+  assert.strictEqual(parseDurationBadge("LIVE"), null);
+  assert.strictEqual(parseViewCount("1.2M views"), 1200000);
+  assert.strictEqual(parseViewCount("3,456 views"), 3456);
+  assert.strictEqual(parseViewCount("No views"), 0);
+  assert.strictEqual(parseViewCount("yesterday"), null);
+  assert.strictEqual(parseUploadAge("3 weeks ago"), 21);
+  assert.strictEqual(parseUploadAge("Streamed 2 days ago"), 2);
+  assert.strictEqual(parseUploadAge("Premieres soon"), null);
+});
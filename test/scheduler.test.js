@@ -0,0 +1,128 @@
+// Window edges and day boundaries are local time; pin a zone with DST
+process.env.TZ = "Europe/Berlin";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./load");
+
+const load = loadScripts("scheduler.js", "plans.js");
+const planSchedule = load("planSchedule");
+const buildActiveIntervals = load("buildActiveIntervals");
+const BUILTIN_PLANS = load("BUILTIN_PLANS");
+
+const HOUR_MS = 60 * 60 * 1000;
+const EVENINGS = {
+  0: [{ start: "10:00", end: "24:00" }],
+  1: [{ start: "17:00", end: "23:00" }],
+  2: [{ start: "17:00", end: "23:00" }],
+  3: [{ start: "17:00", end: "23:00" }],
+  4: [{ start: "17:00", end: "23:00" }],
+  5: [{ start: "17:00", end: "23:00" }],
+  6: [{ start: "10:00", end: "24:00" }],
+};
+const STARTS = {
+  "an ordinary evening": new Date(2026, 8, 9, 21, 30).getTime(),
+  "the end of summer time": new Date(2026, 9, 24, 21, 30).getTime(),
+  "the start of summer time": new Date(2027, 2, 27, 21, 30).getTime(),
+};
+const RUNS = 200;
+
+const windowed = (plan) => ({ ...plan, activeWindows: EVENINGS });
+// Local midnight after the plan's last day
+const planEnd = (start, days) => {
+  const d = new Date(start);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days).getTime();
+};
+
+for (const [when, start] of Object.entries(STARTS))
+  for (const builtin of BUILTIN_PLANS)
+    test(`${builtin.id} in evening windows, starting on ${when}`, () => {
+      const plan = windowed(builtin);
+      const intervals = buildActiveIntervals(plan, start, plan.days);
+      const minGap = plan.minBetweenHours * HOUR_MS;
+      for (let run = 0; run < RUNS; run++) {
+        const { schedule } = planSchedule(start, plan);
+        assert.ok(schedule.length > 0);
+        for (const [i, ts] of schedule.entries()) {
+          assert.ok(ts >= start, `session ${i} before the start`);
+          assert.ok(
+            intervals.some((iv) => ts >= iv.start && ts < iv.end),
+            `session ${i} outside every window: ${new Date(ts)}`
+          );
+          assert.ok(
+            ts < planEnd(start, plan.days),
+            `session ${i} after the plan`
+          );
+          if (i)
+            assert.ok(
+              ts - schedule[i - 1] >= minGap,
+              `session ${i} only ${(ts - schedule[i - 1]) / HOUR_MS}h after the previous`
+            );
+        }
+      }
+    });
+
+test("gaps within a day stay under the maximum", () => {
+  const plan = windowed(BUILTIN_PLANS[0]);
+  for (let run = 0; run < RUNS; run++) {
+    const { schedule } = planSchedule(STARTS["an ordinary evening"], plan);
+    for (let i = 1; i < schedule.length; i++) {
+      const a = new Date(schedule[i - 1]);
+      const b = new Date(schedule[i]);
+      if (a.toDateString() === b.toDateString())
+        assert.ok(b - a <= plan.maxBetweenHours * HOUR_MS);
+    }
+  }
+});
+
+test("sessions that don't fit move on and the rest are dropped", () => {
+  const plan = {
+    ...BUILTIN_PLANS[0],
+    days: 3,
+    minSessionsPerDay: 5,
+    maxSessionsPerDay: 5,
+    minBetweenHours: 1,
+    maxBetweenHours: 2,
+    activeWindows: {
+      1: [{ start: "18:00", end: "20:00" }],
+      3: [{ start: "18:00", end: "20:00" }],
+    },
+  };
+  // Two hours at a one-hour gap hold two sessions: two on Monday, Tuesday
+  // has no window and passes its five on, two more on Wednesday
+  const monday = new Date(2026, 8, 7, 8, 0).getTime();
+  const { schedule, dropped } = planSchedule(monday, plan);
+  assert.deepStrictEqual(
+    [...schedule].map((ts) => new Date(ts).getDay()),
+    [1, 1, 3, 3]
+  );
+  assert.strictEqual(dropped, 11);
+});
+
+test("carried sessions share the next day's windows", () => {
+  const plan = {
+    ...BUILTIN_PLANS[0],
+    days: 2,
+    minSessionsPerDay: 2,
+    maxSessionsPerDay: 2,
+    minBetweenHours: 1,
+    maxBetweenHours: 3,
+    activeWindows: { 2: [{ start: "10:00", end: "22:00" }] },
+  };
+  const monday = new Date(2026, 8, 7, 8, 0).getTime();
+  const { schedule, dropped } = planSchedule(monday, plan);
+  assert.strictEqual(dropped, 0);
+  assert.strictEqual(schedule.length, 4);
+  for (const ts of schedule) assert.strictEqual(new Date(ts).getDay(), 2);
+});
+
+test("plans without windows keep the open schedule", () => {
+  const plan = BUILTIN_PLANS[0];
+  const start = STARTS["an ordinary evening"];
+  for (let run = 0; run < RUNS; run++) {
+    const { schedule, dropped } = planSchedule(start, plan);
+    assert.strictEqual(dropped, 0);
+    assert.ok(schedule.length >= plan.days * plan.minSessionsPerDay);
+    assert.ok(schedule.length <= plan.days * plan.maxSessionsPerDay);
+  }
+});